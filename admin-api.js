@@ -0,0 +1,216 @@
+// admin-api.js
+// Админ REST API: ручной провижининг, шаринг и просмотр папок проекта
+//
+// ADMIN_TOKEN — отдельный токен админки (не учётка вебхука). Передаётся как
+//               Authorization: Bearer <token> или X-Admin-Token: <token>
+//               (в браузере — как пароль Basic-авторизации с любым логином).
+//               Без него админ API отвечает 401 на любые запросы.
+import express from 'express';
+import dotenv from 'dotenv';
+import { getProjectMapping } from './projects.js';
+import { listFolderTree } from './pcloud.js';
+import { DEFAULT_PERMISSIONS, shareProjectFolder, unshareProjectFolder } from './provision.js';
+import { listProvisionRuns, getProvisionRun } from './provision-runs.js';
+import { PROJECT_FOLDER_KEY } from './templates.js';
+import { safeEqual, parseBasicAuth } from './webhook-auth.js';
+import { createLogger } from './logger.js';
+
+dotenv.config();
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const log = createLogger('ADMIN');
+
+const logInfo = log.info;
+const logWarn = log.warn;
+const logError = log.error;
+
+// ========================================
+// AUTH
+// ========================================
+
+/**
+ * Запрос несёт верный ADMIN_TOKEN (Bearer, X-Admin-Token или пароль Basic).
+ */
+export function hasAdminToken(req) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return false;
+
+  const header = req.get('authorization') || '';
+  let provided = req.get('x-admin-token') || '';
+  if (header.startsWith('Bearer ')) {
+    provided = header.slice('Bearer '.length);
+  } else if (parseBasicAuth(header)) {
+    provided = parseBasicAuth(header).pass;
+  }
+
+  return safeEqual(provided, token);
+}
+
+function requireAdminToken(req, res, next) {
+  if (!hasAdminToken(req)) {
+    logWarn(`Admin API request rejected from ${req.ip}: ${req.method} ${req.originalUrl}`);
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+  next();
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Дерево папок pCloud в компактном виде: { name, path, folderid, folders: [...] }.
+ */
+function toFolderTree(metadata, path) {
+  return {
+    name: metadata.name,
+    path,
+    folderid: metadata.folderid,
+    folders: (metadata.contents || [])
+      .filter((item) => item.isfolder)
+      .map((item) => toFolderTree(item, `${path}/${item.name}`)),
+  };
+}
+
+async function loadMapping(req, res) {
+  let record;
+  try {
+    record = await getProjectMapping(req.params.wsId);
+  } catch (err) {
+    logError(`Failed to read mapping of project ${req.params.wsId}:`, err.message);
+    res.status(500).json({ error: err.message });
+    return null;
+  }
+  if (!record) {
+    res.status(404).json({ error: 'Project not provisioned' });
+    return null;
+  }
+  return record;
+}
+
+// ========================================
+// ROUTER
+// ========================================
+
+/**
+ * Роутер для монтирования на /admin/projects. handleWebhookEvent — тот же обработчик, что у очереди вебхуков.
+ */
+export function createAdminRouter({ handleWebhookEvent }) {
+  const router = express.Router();
+  router.use(requireAdminToken);
+
+  // (Пере)создать папки проекта тем же путём, что и событие post из Worksection
+  router.post('/:wsId/provision', async (req, res) => {
+    const { wsId } = req.params;
+    logInfo(`Manual provisioning requested for project ${wsId}`);
+
+    try {
+      await handleWebhookEvent({
+        object: { type: 'project', id: wsId },
+        action: 'post',
+        new: req.body?.title ? { title: String(req.body.title) } : {},
+      });
+      const [run = null] = await listProvisionRuns({ wsId, limit: 1 });
+      res.json({ status: 'OK', project: await getProjectMapping(wsId), run });
+    } catch (err) {
+      logError(`Manual provisioning of project ${wsId} failed:`, err.message);
+      res.status(502).json({ error: err.message, run: err.provisionReport || null });
+    }
+  });
+
+  // Отчёты о запусках провижининга проекта (новые первыми)
+  router.get('/:wsId/runs', async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+    try {
+      res.json({ wsId: req.params.wsId, runs: await listProvisionRuns({ wsId: req.params.wsId, limit }) });
+    } catch (err) {
+      logError(`Failed to list provisioning runs of project ${req.params.wsId}:`, err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/:wsId/runs/:runId', async (req, res) => {
+    try {
+      const run = await getProvisionRun(req.params.runId);
+      if (!run || run.wsId !== String(req.params.wsId)) {
+        res.status(404).json({ error: 'Run not found' });
+        return;
+      }
+      res.json(run);
+    } catch (err) {
+      logError(`Failed to read provisioning run ${req.params.runId}:`, err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Выдать доступ: { emails: [...], folder?: 'project', permissions?: 7 }
+  router.post('/:wsId/share', async (req, res) => {
+    const { emails, folder = PROJECT_FOLDER_KEY, permissions = DEFAULT_PERMISSIONS } = req.body || {};
+
+    if (!Array.isArray(emails) || emails.length === 0 || !emails.every((e) => EMAIL_RE.test(String(e).trim()))) {
+      res.status(400).json({ error: 'emails must be a non-empty array of email addresses' });
+      return;
+    }
+    if (!Number.isInteger(permissions) || permissions < 0 || permissions > 15) {
+      res.status(400).json({ error: 'permissions must be an integer bitmask (0-15)' });
+      return;
+    }
+
+    const record = await loadMapping(req, res);
+    if (!record) return;
+    if (!record.folders[folder]?.folderid) {
+      res.status(404).json({ error: `Folder "${folder}" not found in project` });
+      return;
+    }
+
+    try {
+      const summary = await shareProjectFolder(record.wsId, emails, { folder, permissions });
+      res.status(summary.failed.length > 0 ? 207 : 200).json(summary);
+    } catch (err) {
+      logError(`Manual share for project ${record.wsId} failed:`, err.message);
+      res.status(502).json({ error: err.message });
+    }
+  });
+
+  // Текущее дерево папок проекта в pCloud
+  router.get('/:wsId/folders', async (req, res) => {
+    const record = await loadMapping(req, res);
+    if (!record) return;
+
+    try {
+      const metadata = await listFolderTree(record.projectPath);
+      res.json({ wsId: record.wsId, tree: toFolderTree(metadata, record.projectPath) });
+    } catch (err) {
+      logError(`Failed to list folders of project ${record.wsId}:`, err.message);
+      res.status(502).json({ error: err.message });
+    }
+  });
+
+  // Отозвать доступ: ко всем папкам проекта или только ?folder=<key>
+  router.delete('/:wsId/shares/:email', async (req, res) => {
+    const record = await loadMapping(req, res);
+    if (!record) return;
+
+    const folder = req.query.folder ? String(req.query.folder) : null;
+    if (folder && !record.folders[folder]) {
+      res.status(404).json({ error: `Folder "${folder}" not found in project` });
+      return;
+    }
+
+    try {
+      const summary = await unshareProjectFolder(record.wsId, req.params.email, { folder });
+      if (summary.removed.length === 0 && summary.failed.length === 0) {
+        res.status(404).json({ error: 'Share not found' });
+        return;
+      }
+      res.status(summary.failed.length > 0 ? 207 : 200).json(summary);
+    } catch (err) {
+      logError(`Failed to remove share for project ${record.wsId}:`, err.message);
+      res.status(502).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
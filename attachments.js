@@ -0,0 +1,299 @@
+// attachments.js
+// Вложения Worksection (файлы задач и комментариев) → папка проекта в pCloud
+//
+// Куда класть — секция attachments шаблона папок:
+//   "attachments": { "folder": "preview", "taskFolders": true }
+// folder — ключ папки шаблона (датированная папка берётся за сегодня), taskFolders — класть
+// в папку задачи, если она есть. Без секции attachments вложения не копируются; в шаблоне
+// default из поставки её нет — копирование включается явно, добавлением секции в шаблон.
+//
+// Файл скачивается во временный файл, по дороге считаются SHA-1 и размер; после загрузки в pCloud
+// они сверяются с суммой и размером pCloud. Повторная доставка события пропускается по ID файла,
+// одинаковое содержимое в одной папке (SHA-1 и размер) не загружается второй раз.
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createLogger } from './logger.js';
+import { uploadFile, deleteFile } from './pcloud.js';
+import { downloadFile, getProject } from './worksection.js';
+import { getProjectMapping } from './projects.js';
+import { getTemplate } from './templates.js';
+import { ensureDatedFolders } from './scheduler.js';
+import { todayStr } from './dates.js';
+import { readJson, writeJson } from './store.js';
+import { currentTenantId } from './tenants.js';
+import { audit } from './audit.js';
+import { attachmentUploads } from './metrics.js';
+
+const INDEX_FILE = 'attachments.json';
+
+const log = createLogger('ATTACH');
+
+const logInfo = log.info;
+const logWarn = log.warn;
+const logError = log.error;
+
+// ========================================
+// INDEX
+// ========================================
+
+// По тенантам: { files: { [wsFileId]: { status, folderid, fileid, sha1, ... } }, hashes: { [`${folderid}:${sha1}`]: wsFileId } }
+const indexes = new Map();
+
+async function loadIndex() {
+  const tenantId = currentTenantId();
+  if (!indexes.has(tenantId)) {
+    indexes.set(tenantId, await readJson(INDEX_FILE, { files: {}, hashes: {} }));
+  }
+  return indexes.get(tenantId);
+}
+
+async function saveIndex(index) {
+  await writeJson(INDEX_FILE, index);
+}
+
+// Загрузки, которые идут прямо сейчас (по тенантам): `${folderid}:${size}` → число загрузок.
+// Отметка ставится до начала загрузки и снимается после записи fileid в индекс,
+// поэтому файл бриджа всегда узнаваем — по отметке или по индексу. Ключ — размер, а не имя:
+// при занятом имени pCloud сохраняет копию под другим (renameifexists), а размер в diff тот же.
+// Чужой файл того же размера, попавший в папку во время загрузки, тоже не будет объявлен.
+const inFlight = new Map();
+
+function inFlightUploads() {
+  const tenantId = currentTenantId();
+  if (!inFlight.has(tenantId)) inFlight.set(tenantId, new Map());
+  return inFlight.get(tenantId);
+}
+
+function markInFlight(folderid, size, delta) {
+  const uploads = inFlightUploads();
+  const key = `${folderid}:${size}`;
+  const count = (uploads.get(key) || 0) + delta;
+  if (count > 0) uploads.set(key, count);
+  else uploads.delete(key);
+}
+
+/**
+ * Файлы pCloud, загруженные самим бриджем (копии вложений): о них Worksection уже знает.
+ * { fileIds: Set<fileid>, inFlight: Set<`${folderid}:${size}`> } — уже загруженные и загружаемые сейчас.
+ */
+export async function listBridgeUploads() {
+  const index = await loadIndex();
+  return {
+    fileIds: new Set(Object.values(index.files).map((f) => f.fileid).filter(Boolean)),
+    inFlight: new Set(inFlightUploads().keys()),
+  };
+}
+
+// ========================================
+// TARGET FOLDER
+// ========================================
+
+/**
+ * Папка для вложений проекта/задачи: { key, path, folderid } или null, если копировать не нужно.
+ */
+async function resolveTargetFolder(record, taskId) {
+  const tpl = getTemplate(record.template);
+  const rule = tpl?.attachments;
+  if (!rule) return null;
+
+  const task = taskId ? record.tasks?.[taskId] : null;
+  if (task?.folderid && rule.taskFolders !== false) {
+    return { key: `task:${taskId}`, path: task.path, folderid: task.folderid };
+  }
+
+  const key = rule.folder || 'preview';
+  const folder = record.folders[key];
+  if (!folder?.folderid) {
+    logWarn(`Project ${record.wsId} has no "${key}" folder for attachments, using the project folder`);
+    return { key: 'project', path: record.folders.project.path, folderid: record.folders.project.folderid };
+  }
+
+  // Датированная папка (Preview/{date}) — берём сегодняшнюю, при необходимости создаём её, как планировщик
+  const dated = tpl.folders.some((f) => f.key === key && f.path.includes('{date}'));
+  const date = todayStr();
+  if (dated && record.previewDate !== date) {
+    if (!record.datedFolders?.[date]) {
+      await ensureDatedFolders(await getProject(record.wsId, { extra: 'tags' }), date);
+    }
+    const todays = record.datedFolders?.[date]?.find((f) => f.key === key);
+    if (todays?.folderid) return todays;
+  }
+
+  return { key, path: folder.path, folderid: folder.folderid };
+}
+
+// ========================================
+// UPLOAD
+// ========================================
+
+/**
+ * Поток-счётчик: пропускает данные без изменений, считая SHA-1 и размер.
+ */
+function createHasher() {
+  const hash = crypto.createHash('sha1');
+  const hasher = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      hasher.bytes += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  hasher.bytes = 0;
+  hasher.digest = () => hash.digest('hex');
+  return hasher;
+}
+
+/**
+ * Скачать файл из Worksection во временный файл, по дороге посчитав SHA-1 и размер.
+ * Размер берём из самого потока: поле size в ответе Worksection не проверено.
+ * Возвращает { tmpDir, tmpPath, sha1, size }; tmpDir удаляет вызывающий (discardStaged).
+ */
+async function stageFile(file) {
+  const download = await downloadFile(file.id);
+  const hasher = createHasher();
+  const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ws-attachment-'));
+  const staged = { tmpDir, tmpPath: path.join(tmpDir, 'file') };
+
+  try {
+    await pipeline(download.stream, hasher, fs.createWriteStream(staged.tmpPath));
+    // Content-Length ответа — проверка, что загрузка не оборвалась
+    if (download.size && download.size !== hasher.bytes) {
+      throw new Error(`download of ${file.name} is incomplete: ${hasher.bytes} of ${download.size} bytes`);
+    }
+  } catch (err) {
+    await discardStaged(staged);
+    throw err;
+  }
+
+  return { ...staged, sha1: hasher.digest(), size: hasher.bytes };
+}
+
+async function discardStaged(staged) {
+  await fs.promises.rm(staged.tmpDir, { recursive: true, force: true })
+    .catch((err) => logWarn(`Cannot remove temporary file ${staged.tmpPath}:`, err.message));
+}
+
+/**
+ * Загрузить скачанный файл в папку pCloud и сверить размер и SHA-1 с тем, что посчитали при скачивании.
+ * При расхождении загруженная копия удаляется и бросается ошибка.
+ */
+async function uploadStaged(staged, file, target) {
+  const uploaded = await uploadFile(target.folderid, file.name, fs.createReadStream(staged.tmpPath), { size: staged.size });
+
+  const problems = [];
+  if (uploaded.checksums.sha1 && uploaded.checksums.sha1 !== staged.sha1) {
+    problems.push(`sha1 ${uploaded.checksums.sha1} != ${staged.sha1}`);
+  }
+  if (uploaded.metadata?.size !== undefined && uploaded.metadata.size !== staged.size) {
+    problems.push(`pCloud size ${uploaded.metadata.size} != ${staged.size}`);
+  }
+
+  if (problems.length > 0) {
+    if (uploaded.metadata?.fileid) {
+      await deleteFile(uploaded.metadata.fileid).catch((err) => logError(`Cannot delete corrupted upload ${uploaded.metadata.fileid}:`, err.message));
+    }
+    throw new Error(`Checksum verification failed for ${file.name}: ${problems.join(', ')}`);
+  }
+
+  return { fileid: uploaded.metadata?.fileid ?? null, path: uploaded.metadata?.path || `${target.path}/${file.name}` };
+}
+
+/**
+ * Скопировать одно вложение. file: { id, name } из ответа Worksection (его size не используем).
+ * Возвращает запись индекса ({ status: 'uploaded' | 'duplicate', ... }; skipped: true — скопировано раньше)
+ * или null, если копировать не нужно.
+ */
+export async function uploadAttachment(projectId, file, { taskId = null, source = 'webhook' } = {}) {
+  const index = await loadIndex();
+  const fileId = String(file.id);
+
+  if (index.files[fileId]) {
+    logInfo(`Attachment ${fileId} (${file.name}) already copied to pCloud, skipping`);
+    return { ...index.files[fileId], skipped: true };
+  }
+
+  const record = await getProjectMapping(projectId);
+  if (!record?.folders.project?.folderid || record.archivedAt) {
+    logInfo(`Project ${projectId} is not provisioned or archived, skipping attachment ${fileId}`);
+    return null;
+  }
+
+  const target = await resolveTargetFolder(record, taskId);
+  if (!target) {
+    logInfo(`Template of project ${projectId} has no attachments section, skipping attachment ${fileId}`);
+    return null;
+  }
+
+  const base = { wsId: record.wsId, taskId: taskId ? String(taskId) : null, fileId, name: file.name, folder: target.key, source };
+
+  let staged;
+  let entry;
+  let uploading = false;
+  try {
+    staged = await stageFile(file);
+
+    // Такое же содержимое (SHA-1 и размер) уже лежит в этой папке — второй раз не загружаем
+    const hashKey = `${target.folderid}:${staged.sha1}`;
+    const original = index.hashes[hashKey] ? index.files[index.hashes[hashKey]] : null;
+
+    if (original && original.size === staged.size) {
+      entry = { status: 'duplicate', duplicateOf: index.hashes[hashKey], folderid: target.folderid, fileid: original.fileid, path: original.path, sha1: staged.sha1, size: staged.size };
+      logInfo(`Attachment ${fileId} (${file.name}) duplicates ${entry.duplicateOf} (${original.name}), not uploading`);
+    } else {
+      // Опрос pCloud diff (notifier.js) может увидеть файл раньше, чем fileid попадёт в индекс
+      markInFlight(target.folderid, staged.size, 1);
+      uploading = true;
+      const uploaded = await uploadStaged(staged, file, target);
+      entry = { status: 'uploaded', folderid: target.folderid, fileid: uploaded.fileid, path: uploaded.path, sha1: staged.sha1, size: staged.size };
+      index.hashes[hashKey] = fileId;
+      logInfo(`Attachment ${fileId} copied to ${uploaded.path}`);
+    }
+  } catch (err) {
+    logError(`Failed to copy attachment ${fileId} (${file.name}):`, err.message);
+    attachmentUploads.inc({ result: 'failed' });
+    await audit({ type: 'attachment.upload', ...base, result: 'failed', error: err.message });
+    throw err;
+  } finally {
+    if (staged) await discardStaged(staged);
+    if (uploading && !entry) markInFlight(target.folderid, staged.size, -1);
+  }
+
+  index.files[fileId] = { ...entry, wsId: record.wsId, name: file.name, copiedAt: new Date().toISOString() };
+  try {
+    await saveIndex(index);
+  } finally {
+    if (uploading) markInFlight(target.folderid, staged.size, -1);
+  }
+
+  attachmentUploads.inc({ result: entry.status });
+  await audit({ type: 'attachment.upload', ...base, result: 'ok', status: entry.status, path: entry.path, sha1: entry.sha1, size: entry.size });
+  return index.files[fileId];
+}
+
+/**
+ * Скопировать все вложения (задачи или комментария). Ошибка по одному файлу не мешает остальным;
+ * если хоть один не скопирован — бросаем ошибку, чтобы очередь повторила событие (готовые пропустятся).
+ */
+export async function uploadAttachments(projectId, files, options = {}) {
+  const summary = { uploaded: 0, duplicate: 0, skipped: 0, failed: [] };
+
+  for (const file of files || []) {
+    if (!file?.id || !file.name) continue;
+    try {
+      const entry = await uploadAttachment(projectId, file, options);
+      if (!entry || entry.skipped) summary.skipped++;
+      else summary[entry.status]++;
+    } catch (err) {
+      summary.failed.push({ id: file.id, name: file.name, error: err.message });
+    }
+  }
+
+  if (summary.failed.length > 0) {
+    throw new Error(`${summary.failed.length} attachment(s) failed: ${summary.failed.map((f) => `${f.name}: ${f.error}`).join('; ')}`);
+  }
+  return summary;
+}
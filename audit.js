@@ -0,0 +1,33 @@
+// audit.js
+// Журнал изменений доступа (шаринг/отзыв), доставок вебхуков и обработки событий
+import { appendJsonLine, readJsonLines } from './store.js';
+import { shareOperations } from './metrics.js';
+
+const AUDIT_FILE = 'audit.jsonl';
+
+/**
+ * Записать событие в аудит.
+ * entry: { type, wsId, email?, permissions?, result: 'ok' | 'failed', error?, source? }
+ */
+export async function audit(entry) {
+  if (entry.type?.startsWith('share.')) {
+    shareOperations.inc({ action: entry.type.slice('share.'.length), result: entry.result });
+  }
+
+  await appendJsonLine(AUDIT_FILE, {
+    ts: new Date().toISOString(),
+    ...entry,
+  });
+}
+
+/**
+ * Последние записи аудита (новые первыми), опционально по одному проекту
+ * и/или по префиксу типа (type: 'share.', 'job.', 'webhook.').
+ */
+export async function listAudit({ wsId = null, type = null, limit = 100 } = {}) {
+  const items = await readJsonLines(AUDIT_FILE);
+  const filtered = items.filter(
+    (e) => (!wsId || e.wsId === String(wsId)) && (!type || e.type?.startsWith(type))
+  );
+  return filtered.slice(-limit).reverse();
+}
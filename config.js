@@ -0,0 +1,285 @@
+// config.js
+// Схема настроек бриджа (env): проверка при старте и самопроверка --check-config
+//
+//   node server.js --check-config         — проверить env и файлы конфигурации (шаблоны, правила, тенанты)
+//   node server.js --check-config --live  — плюс пробный авторизованный вызов pCloud и Worksection
+//                                           для основного аккаунта и каждого тенанта
+// Код выхода: 0 — всё в порядке, 1 — есть ошибки. Обычный старт с ошибками в настройках не запускается.
+import dotenv from 'dotenv';
+import { assertTimeZone } from './dates.js';
+import { loadTemplates } from './templates.js';
+import { loadShareRules } from './share-rules.js';
+import { loadTenants, forEachTenant } from './tenants.js';
+import { getUserInfo } from './pcloud.js';
+import { wsCall } from './worksection.js';
+
+dotenv.config();
+
+const BOOL_VALUES = ['0', '1', 'true', 'false'];
+
+// ========================================
+// SCHEMA
+// ========================================
+
+// type: string | url | port | int | bool | enum | permissions | pcloudPath | timezone | time | email | ipList | list
+const SCHEMA = {
+  PORT: { type: 'port' },
+  TRUST_PROXY: { type: 'string' },
+  DATA_DIR: { type: 'string' },
+  ADMIN_TOKEN: { type: 'string' },
+  METRICS_TOKEN: { type: 'string' },
+
+  WS_BASE_URL: { type: 'url' },
+  WS_ADMIN_TOKEN: { type: 'string' },
+  WS_COMMENT_AUTHOR: { type: 'email' },
+  WS_MAX_RETRIES: { type: 'int', min: 0, max: 10 },
+  WS_RETRY_BASE_MS: { type: 'int', min: 1 },
+  WS_MIN_INTERVAL_MS: { type: 'int', min: 0 },
+  WS_LINKS_TARGET: { type: 'enum', values: ['project', 'comment', 'off'] },
+  WS_LINKS_TEMPLATE: { type: 'string' },
+
+  PCLOUD_API: { type: 'url' },
+  PCLOUD_AUTH: { type: 'string' },
+  PCLOUD_USERNAME: { type: 'email' },
+  PCLOUD_PASSWORD: { type: 'string' },
+  PCLOUD_CLIENT_ID: { type: 'string' },
+  PCLOUD_CLIENT_SECRET: { type: 'string' },
+  PCLOUD_TOKEN_KEY: { type: 'string', minLength: 16 },
+  PCLOUD_OAUTH_REDIRECT_URI: { type: 'url' },
+  PCLOUD_PROJECTS_ROOT: { type: 'pcloudPath' },
+  PCLOUD_ARCHIVE_PATH: { type: 'pcloudPath' },
+  PCLOUD_DEFAULT_PERMISSIONS: { type: 'permissions' },
+  PCLOUD_LINK_MODE: { type: 'enum', values: ['publink', 'web'] },
+  PCLOUD_WEB_URL: { type: 'url' },
+  PCLOUD_MAX_RETRIES: { type: 'int', min: 0, max: 10 },
+  PCLOUD_RETRY_BASE_MS: { type: 'int', min: 1 },
+  PCLOUD_MAX_CONCURRENCY: { type: 'int', min: 1, max: 32 },
+
+  WEBHOOK_USER: { type: 'string' },
+  WEBHOOK_PASS: { type: 'string' },
+  WEBHOOK_HMAC_SECRET: { type: 'string' },
+  WEBHOOK_HMAC_HEADER: { type: 'string' },
+  WEBHOOK_SHARED_SECRET: { type: 'string' },
+  WEBHOOK_SECRET_HEADER: { type: 'string' },
+  WEBHOOK_IP_ALLOWLIST: { type: 'ipList' },
+  WEBHOOK_AUTH_STRICT: { type: 'bool' },
+
+  STUDIO_TIMEZONE: { type: 'timezone' },
+  PREVIEW_SCHEDULER: { type: 'bool' },
+  PREVIEW_SCHEDULE_TIME: { type: 'time' },
+  PREVIEW_SKIP_WEEKENDS: { type: 'bool' },
+  PREVIEW_TRACK_DAYS: { type: 'int', min: 1 },
+  PROVISION_CLEANUP_ON_FAILURE: { type: 'bool' },
+
+  NOTIFY_POLLER: { type: 'bool' },
+  NOTIFY_POLL_INTERVAL_MS: { type: 'int', min: 1000 },
+  NOTIFY_DEBOUNCE_MS: { type: 'int', min: 0 },
+  NOTIFY_MAX_WAIT_MS: { type: 'int', min: 1000 },
+  NOTIFY_FOLDERS: { type: 'list' },
+
+  QUEUE_MAX_ATTEMPTS: { type: 'int', min: 1 },
+  QUEUE_BACKOFF_BASE_MS: { type: 'int', min: 1 },
+  QUEUE_BACKOFF_MAX_MS: { type: 'int', min: 1 },
+  QUEUE_POLL_INTERVAL_MS: { type: 'int', min: 10 },
+  READY_CACHE_TTL_MS: { type: 'int', min: 0 },
+
+  FOLDER_TEMPLATES_FILE: { type: 'string' },
+  SHARE_RULES_FILE: { type: 'string' },
+  TENANTS_FILE: { type: 'string' },
+  FOLDER_NAME_TRANSLIT: { type: 'enum', values: ['none', 'ru'] },
+  FOLDER_NAME_MAX_LENGTH: { type: 'int', min: 10, max: 255 },
+  FOLDER_NAME_SUFFIX: { type: 'enum', values: ['collision', 'always', 'never'] },
+
+  LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error'] },
+  LOG_FORMAT: { type: 'enum', values: ['text', 'json'] },
+  LOG_FILE: { type: 'string' },
+  LOG_FILE_MAX_BYTES: { type: 'int', min: 1024 },
+  LOG_FILE_MAX_FILES: { type: 'int', min: 1 },
+};
+
+function checkInt(value, min = -Infinity, max = Infinity) {
+  if (!/^-?\d+$/.test(value)) {
+    return 'must be an integer';
+  }
+  const n = Number(value);
+  if (n < min || n > max) {
+    return max === Infinity ? `must be ${min} or more` : `must be between ${min} and ${max}`;
+  }
+  return null;
+}
+
+// Каждый валидатор возвращает null или текст ошибки
+const TYPES = {
+  string: (value, def) => (def.minLength && value.length < def.minLength ? `must be at least ${def.minLength} characters long` : null),
+  url: (value) => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'must be an http(s) URL';
+    } catch {
+      return 'must be an absolute URL, e.g. https://example.com';
+    }
+  },
+  port: (value) => checkInt(value, 1, 65535),
+  int: (value, def) => checkInt(value, def.min, def.max),
+  bool: (value) => (BOOL_VALUES.includes(value.toLowerCase()) ? null : 'must be 1/0 or true/false'),
+  enum: (value, def) => (def.values.includes(value) ? null : `must be one of: ${def.values.join(', ')}`),
+  permissions: (value) => (checkInt(value, 0, 15) ? 'must be a pCloud permission mask 0..15 (1=create, 2=modify, 4=delete, 8=manage)' : null),
+  pcloudPath: (value) => (/^(\/[^/\\:*?"<>|]+)+$/.test(value) ? null : 'must be an absolute pCloud folder path like /WorksectionProjects (no trailing slash)'),
+  timezone: (value) => {
+    try {
+      assertTimeZone(value);
+      return null;
+    } catch {
+      return 'must be an IANA timezone, e.g. Europe/Moscow';
+    }
+  },
+  time: (value) => (/^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? null : 'must be HH:MM (24-hour)'),
+  email: (value) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : 'must be an email address'),
+  ipList: (value) => {
+    const bad = value.split(',').map((s) => s.trim()).filter(Boolean)
+      .filter((entry) => !/^[\d.]+(\/\d{1,2})?$/.test(entry) && !/^[\da-f:]+$/i.test(entry));
+    return bad.length > 0 ? `has invalid entries: ${bad.join(', ')} (use IPs or IPv4 CIDR, comma-separated)` : null;
+  },
+  list: (value) => (value.split(',').some((s) => s.trim()) ? null : 'must be a comma-separated list'),
+};
+
+// ========================================
+// VALIDATION
+// ========================================
+
+/**
+ * Проверить env по схеме и связи между настройками.
+ * Возвращает { errors: [{ name, message }], warnings: [{ name, message }] }.
+ */
+export function validateConfig(env = process.env) {
+  const errors = [];
+  const warnings = [];
+  const isSet = (name) => env[name] !== undefined && env[name] !== '';
+
+  for (const [name, def] of Object.entries(SCHEMA)) {
+    if (!isSet(name)) continue;
+    const problem = TYPES[def.type](String(env[name]).trim(), def);
+    if (problem) {
+      const shown = /TOKEN|PASS|SECRET|AUTH$/.test(name) ? '(hidden)' : `"${env[name]}"`;
+      errors.push({ name, message: `${shown} ${problem}` });
+    }
+  }
+
+  // Настройки, которые работают только парой
+  for (const [a, b] of [['WS_BASE_URL', 'WS_ADMIN_TOKEN'], ['PCLOUD_USERNAME', 'PCLOUD_PASSWORD'], ['WEBHOOK_USER', 'WEBHOOK_PASS']]) {
+    if (isSet(a) !== isSet(b)) {
+      const missing = isSet(a) ? b : a;
+      errors.push({ name: missing, message: `is required when ${isSet(a) ? a : b} is set` });
+    }
+  }
+
+  const oauthVars = ['PCLOUD_CLIENT_ID', 'PCLOUD_CLIENT_SECRET', 'PCLOUD_TOKEN_KEY'];
+  const oauthSet = oauthVars.filter(isSet);
+  if (oauthSet.length > 0 && oauthSet.length < oauthVars.length) {
+    const missing = oauthVars.filter((name) => !isSet(name));
+    errors.push({ name: missing[0], message: `pCloud OAuth needs ${oauthVars.join(', ')} — missing ${missing.join(', ')}` });
+  } else if (oauthSet.length === oauthVars.length && isSet('PCLOUD_PASSWORD')) {
+    warnings.push({ name: 'PCLOUD_PASSWORD', message: 'pCloud OAuth is on — remove PCLOUD_USERNAME/PCLOUD_PASSWORD once the account is connected' });
+  }
+
+  let tenants = [];
+  try {
+    tenants = loadTenants();
+  } catch (err) {
+    errors.push({ name: 'TENANTS_FILE', message: err.message });
+  }
+
+  if (!isSet('WS_BASE_URL') && !isSet('WS_ADMIN_TOKEN') && tenants.length === 0) {
+    errors.push({ name: 'WS_BASE_URL', message: 'no Worksection account — set WS_BASE_URL and WS_ADMIN_TOKEN or add tenants to TENANTS_FILE' });
+  }
+  if (isSet('WS_BASE_URL') && !isSet('PCLOUD_AUTH') && !isSet('PCLOUD_USERNAME') && oauthSet.length === 0) {
+    errors.push({ name: 'PCLOUD_AUTH', message: 'no pCloud credentials — set PCLOUD_AUTH, PCLOUD_USERNAME/PCLOUD_PASSWORD or OAuth (PCLOUD_CLIENT_ID, PCLOUD_CLIENT_SECRET, PCLOUD_TOKEN_KEY)' });
+  }
+
+  const root = env.PCLOUD_PROJECTS_ROOT || '/WorksectionProjects';
+  if (isSet('PCLOUD_ARCHIVE_PATH') && env.PCLOUD_ARCHIVE_PATH.toLowerCase() === root.toLowerCase()) {
+    errors.push({ name: 'PCLOUD_ARCHIVE_PATH', message: `must differ from the projects root ${root}` });
+  }
+
+  if (env.PCLOUD_LINK_MODE === 'publink') {
+    warnings.push({ name: 'PCLOUD_LINK_MODE', message: 'publink posts public links to project folders in Worksection — anyone who sees them gets the files' });
+  }
+
+  const minWait = Number(env.NOTIFY_DEBOUNCE_MS ?? 60 * 1000);
+  if (isSet('NOTIFY_MAX_WAIT_MS') && Number(env.NOTIFY_MAX_WAIT_MS) < minWait) {
+    warnings.push({ name: 'NOTIFY_MAX_WAIT_MS', message: 'is shorter than NOTIFY_DEBOUNCE_MS — batches will be posted before uploads settle' });
+  }
+
+  return { errors, warnings };
+}
+
+// ========================================
+// SELF-TEST
+// ========================================
+
+/**
+ * Полная самопроверка: схема env, файлы шаблонов/правил/тенантов и (live) пробные вызовы API.
+ * Возвращает { errors, warnings, live: { [account]: { pcloud, worksection } } | null }.
+ */
+export async function checkConfig({ live = false } = {}) {
+  const { errors, warnings } = validateConfig();
+
+  for (const [name, load] of [['FOLDER_TEMPLATES_FILE', loadTemplates], ['SHARE_RULES_FILE', loadShareRules]]) {
+    try {
+      load();
+    } catch (err) {
+      errors.push({ name, message: err.message });
+    }
+  }
+
+  if (!live || errors.length > 0) {
+    return { errors, warnings, live: null };
+  }
+
+  // Дешёвые авторизованные вызовы: userinfo в pCloud и get_users в Worksection
+  const results = await forEachTenant(async () => {
+    const probe = async (fn) => {
+      try {
+        await fn();
+        return 'ok';
+      } catch (err) {
+        return err.message;
+      }
+    };
+    return { pcloud: await probe(() => getUserInfo()), worksection: await probe(() => wsCall('get_users')) };
+  });
+
+  const accounts = {};
+  for (const [account, { result, error }] of Object.entries(results)) {
+    accounts[account] = result || { pcloud: error, worksection: error };
+    for (const service of ['pcloud', 'worksection']) {
+      if (accounts[account][service] !== 'ok') {
+        errors.push({ name: `${account}/${service}`, message: accounts[account][service] });
+      }
+    }
+  }
+
+  return { errors, warnings, live: accounts };
+}
+
+/**
+ * Режим --check-config: напечатать отчёт и вернуть код выхода (0 — ок, 1 — есть ошибки).
+ */
+export async function runConfigCheck({ live = false } = {}) {
+  const out = (...args) => process.stdout.write(`${args.join(' ')}\n`);
+  const report = await checkConfig({ live });
+
+  out(`\nConfiguration check${live ? ' (live)' : ''}: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+  for (const e of report.errors) out(`  ERROR ${e.name}: ${e.message}`);
+  for (const w of report.warnings) out(`  WARN  ${w.name}: ${w.message}`);
+
+  if (report.live) {
+    out('\nService checks:');
+    for (const [account, checks] of Object.entries(report.live)) {
+      out(`  [${account}] pCloud: ${checks.pcloud}, Worksection: ${checks.worksection}`);
+    }
+  } else if (live) {
+    out('\nService checks skipped: fix the errors above first.');
+  }
+
+  return report.errors.length > 0 ? 1 : 0;
+}
@@ -0,0 +1,330 @@
+// dashboard.js
+// Веб-страница для ops: последние доставки вебхуков, результат провижининга по проектам, повтор шагов
+//
+// Читает только собственные хранилища бриджа (audit.jsonl, projects.json, очередь), в pCloud не ходит.
+// Аккаунт выбирается параметром ?tenant= (без него — основной; если он не настроен — первый тенант).
+// Очередь и dead-letter общие для всех аккаунтов.
+import express from 'express';
+import { listAudit } from './audit.js';
+import { listProjectMappings, getProjectMapping } from './projects.js';
+import { enqueueEvent, getQueueStats, listDeadLetters, replayDeadLetter } from './queue.js';
+import { createLogger } from './logger.js';
+import { currentTenant, loadTenants } from './tenants.js';
+
+const DELIVERIES_LIMIT = 50;
+const JOB_HISTORY_LIMIT = 2000;
+
+const log = createLogger('DASHBOARD');
+
+const logInfo = log.info;
+const logWarn = log.warn;
+const logError = log.error;
+
+// ========================================
+// HTML HELPERS
+// ========================================
+
+function esc(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function fmtTime(iso) {
+  return iso ? esc(iso.replace('T', ' ').replace(/\.\d+Z$/, 'Z')) : '—';
+}
+
+function badge(text, kind) {
+  return `<span class="badge ${kind}">${esc(text)}</span>`;
+}
+
+/**
+ * Ссылка на дашборд текущего аккаунта: тенант передаётся в ?tenant=, у основного аккаунта параметра нет.
+ */
+function dashboardUrl(pathname = '', params = {}) {
+  const tenant = currentTenant();
+  const query = new URLSearchParams({ ...(tenant && { tenant: tenant.id }), ...params }).toString();
+  return `/admin/dashboard${pathname}${query ? `?${query}` : ''}`;
+}
+
+function postButton(action, label) {
+  return `<form method="post" action="${esc(action)}" class="inline"><button type="submit">${esc(label)}</button></form>`;
+}
+
+const JOB_BADGES = {
+  done: ['done', 'ok'],
+  retry: ['retrying', 'warn'],
+  dead: ['dead-letter', 'fail'],
+};
+
+const RUN_BADGES = {
+  ok: 'ok',
+  partial: 'warn',
+  failed: 'fail',
+};
+
+const STYLES = `
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 24px; color: #222; }
+  h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 32px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; vertical-align: top; padding: 6px 8px; border-bottom: 1px solid #e3e3e3; }
+  th { background: #f6f6f6; }
+  .badge { display: inline-block; padding: 1px 6px; border-radius: 3px; font-size: 12px; }
+  .ok { background: #dff3e0; } .warn { background: #fff1cc; } .fail { background: #fadcdc; } .muted { background: #eee; }
+  .error { color: #a40000; font-size: 12px; }
+  .inline { display: inline; } .notice { background: #eef5ff; padding: 8px 12px; }
+  ul { margin: 0; padding-left: 16px; } code { font-size: 12px; }
+`;
+
+// ========================================
+// SECTIONS
+// ========================================
+
+function renderDeliveries(deliveries, jobResults) {
+  if (deliveries.length === 0) return '<p>No webhook deliveries recorded yet.</p>';
+
+  const rows = deliveries.map((d) => {
+    const events = (d.events || []).map((ev) => {
+      const result = jobResults.get(ev.jobId);
+      const [label, kind] = result ? JOB_BADGES[result.type.slice('job.'.length)] || [result.type, 'muted'] : ['queued', 'muted'];
+      const error = result?.error ? `<div class="error">${esc(result.error)}</div>` : '';
+      return `<li>${esc(ev.objType)}/${esc(ev.action)} #${esc(ev.wsId)} ${ev.title ? `«${esc(ev.title)}» ` : ''}${badge(label, kind)}${error}</li>`;
+    });
+
+    return `<tr>
+      <td>${fmtTime(d.ts)}</td>
+      <td><code>${esc(d.requestId)}</code></td>
+      <td><ul>${events.join('')}</ul></td>
+    </tr>`;
+  });
+
+  return `<table><tr><th>Received</th><th>Request</th><th>Events</th></tr>${rows.join('')}</table>`;
+}
+
+function projectHasFailures(record) {
+  const folders = [...Object.values(record.folders || {}), ...Object.values(record.tasks || {})];
+  return !record.provisionedAt
+    || folders.some((f) => !f.folderid)
+    || folders.some((f) => Object.values(f.shares || {}).some((s) => s.status === 'failed'))
+    || !!record.linksError
+    || (record.lastRun && record.lastRun.status !== 'ok');
+}
+
+function renderShares(folder) {
+  return Object.entries(folder.shares || {}).map(([email, share]) => {
+    const kind = share.status === 'shared' ? 'ok' : 'fail';
+    const error = share.error ? `<div class="error">${esc(share.error)}</div>` : '';
+    return `<li>${esc(email)} ${badge(`${share.status} (${share.permissions})`, kind)}${share.rule ? ` <code>${esc(share.rule)}</code>` : ''}${error}</li>`;
+  });
+}
+
+function renderProject(record) {
+  const status = record.archivedAt
+    ? badge('archived', 'muted')
+    : projectHasFailures(record) ? badge('needs attention', 'fail') : badge('provisioned', 'ok');
+
+  const folders = Object.entries(record.folders || {})
+    .filter(([key]) => key !== 'root')
+    .map(([key, folder]) => {
+      const shares = renderShares(folder);
+      return `<li><b>${esc(key)}</b> <code>${esc(folder.path)}</code> ${folder.folderid ? badge(`#${folder.folderid}`, 'ok') : badge('not created', 'fail')}
+        ${shares.length > 0 ? `<ul>${shares.join('')}</ul>` : ''}</li>`;
+    });
+
+  const tasks = Object.entries(record.tasks || {}).map(([taskId, task]) => {
+    const shares = renderShares(task);
+    return `<li><b>task #${esc(taskId)}</b> <code>${esc(task.path)}</code> ${badge(task.status, task.status === 'done' ? 'muted' : 'ok')}
+      ${shares.length > 0 ? `<ul>${shares.join('')}</ul>` : ''}</li>`;
+  });
+
+  const links = record.linksError
+    ? `<div class="error">Links: ${esc(record.linksError)}</div>`
+    : record.linksPostedAt ? `<div>Links posted ${fmtTime(record.linksPostedAt)}</div>` : '';
+
+  const retry = record.archivedAt
+    ? ''
+    : postButton(dashboardUrl(`/projects/${encodeURIComponent(record.wsId)}/retry`), 'Retry provisioning');
+
+  const lastRun = record.lastRun
+    ? `<div>Last run ${badge(record.lastRun.status, RUN_BADGES[record.lastRun.status] || 'muted')} ${fmtTime(record.lastRun.finishedAt)}</div>`
+    : '';
+
+  return `<tr>
+    <td><b>${esc(record.title || record.name)}</b><br><code>#${esc(record.wsId)}</code></td>
+    <td>${status}<br>${fmtTime(record.provisionedAt)}${lastRun}${links}</td>
+    <td><ul>${folders.join('')}${tasks.join('')}</ul></td>
+    <td>${retry}</td>
+  </tr>`;
+}
+
+function renderProjects(records) {
+  if (records.length === 0) return '<p>No projects provisioned yet.</p>';
+  return `<table><tr><th>Project</th><th>Status</th><th>Folders and shares</th><th></th></tr>${records.map(renderProject).join('')}</table>`;
+}
+
+function renderDeadLetters(jobs) {
+  if (jobs.length === 0) return '<p>Dead-letter queue is empty.</p>';
+
+  const rows = jobs.map((job) => `<tr>
+    <td>${fmtTime(job.deadLetteredAt)}</td>
+    <td>${job.tenant ? `<code>${esc(job.tenant)}</code> ` : ''}${esc(job.event?.object?.type)}/${esc(job.event?.action)} #${esc(job.event?.object?.id)}</td>
+    <td>${esc(job.attempts)}</td>
+    <td class="error">${esc(job.lastError)}</td>
+    <td>${postButton(dashboardUrl(`/dead-letters/${encodeURIComponent(job.id)}/replay`), 'Replay')}</td>
+  </tr>`);
+
+  return `<table><tr><th>Dead-lettered</th><th>Event</th><th>Attempts</th><th>Last error</th><th></th></tr>${rows.join('')}</table>`;
+}
+
+function renderAccounts() {
+  const accounts = [...(process.env.WS_BASE_URL ? [null] : []), ...loadTenants()];
+  if (accounts.length < 2) return '';
+
+  const current = currentTenant()?.id || null;
+  const links = accounts.map((tenant) => {
+    const id = tenant?.id || null;
+    const label = esc(id || 'default');
+    if (id === current) return `<b>${label}</b>`;
+    return `<a href="/admin/dashboard${id ? `?tenant=${encodeURIComponent(id)}` : ''}">${label}</a>`;
+  });
+  return `<p>Account: ${links.join(' · ')}</p>`;
+}
+
+async function renderPage(notice) {
+  const [deliveries, jobHistory, mappings, deadLetters, stats] = await Promise.all([
+    listAudit({ type: 'webhook.', limit: DELIVERIES_LIMIT }),
+    listAudit({ type: 'job.', limit: JOB_HISTORY_LIMIT }),
+    listProjectMappings(),
+    listDeadLetters(),
+    getQueueStats(),
+  ]);
+
+  // Последний итог по каждой задаче (история идёт от новых к старым)
+  const jobResults = new Map();
+  for (const entry of jobHistory) {
+    if (!jobResults.has(entry.jobId)) jobResults.set(entry.jobId, entry);
+  }
+
+  const projects = [...mappings].sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Worksection → pCloud bridge</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>Worksection → pCloud bridge</h1>
+${renderAccounts()}
+${notice ? `<p class="notice">${esc(notice)}</p>` : ''}
+<p>Queue: ${esc(stats.pending)} pending, ${esc(stats.processing)} processing, ${esc(stats.deadLetters)} in dead-letter · ${fmtTime(new Date().toISOString())}</p>
+<h2>Dead-letter jobs</h2>
+${renderDeadLetters(deadLetters)}
+<h2>Recent webhook deliveries</h2>
+${renderDeliveries(deliveries, jobResults)}
+<h2>Projects</h2>
+${renderProjects(projects)}
+</body>
+</html>`;
+}
+
+// ========================================
+// ROUTER
+// ========================================
+
+/**
+ * Кнопки шлют POST из браузера с Basic-кредами: отсекаем запросы с чужих страниц (CSRF).
+ * Без Origin и Referer происхождение не проверить — такой запрос тоже отклоняем.
+ */
+function requireSameOrigin(req, res, next) {
+  const origin = req.get('origin') || req.get('referer');
+  if (!origin) {
+    logWarn(`Dashboard POST rejected: no Origin or Referer header from ${req.ip}`);
+    res.status(403).json({ error: 'Forbidden' });
+    return;
+  }
+
+  let host = null;
+  try {
+    host = new URL(origin).host;
+  } catch {
+    // некорректный заголовок — считаем чужим
+  }
+  if (host !== req.get('host')) {
+    logWarn(`Dashboard POST rejected: origin ${origin} does not match host ${req.get('host')}`);
+    res.status(403).json({ error: 'Forbidden' });
+    return;
+  }
+  next();
+}
+
+function redirectWithNotice(res, notice) {
+  res.redirect(303, dashboardUrl('', { notice }));
+}
+
+/**
+ * Роутер для монтирования на /admin/dashboard. requireAuth — middleware служебных эндпоинтов.
+ */
+export function createDashboardRouter({ requireAuth }) {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  router.get('/', async (req, res) => {
+    const notice = typeof req.query.notice === 'string' ? req.query.notice.slice(0, 200) : null;
+    try {
+      // Бридж без основного аккаунта: показываем первого тенанта
+      const [firstTenant] = loadTenants();
+      if (!currentTenant() && !process.env.WS_BASE_URL && firstTenant) {
+        res.redirect(302, `/admin/dashboard?tenant=${encodeURIComponent(firstTenant.id)}`);
+        return;
+      }
+
+      res.type('html').send(await renderPage(notice));
+    } catch (err) {
+      logError('Failed to render dashboard:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Повтор провижининга: то же событие post через очередь (папки, шары и ссылки докатываются идемпотентно)
+  router.post('/projects/:wsId/retry', requireSameOrigin, async (req, res) => {
+    try {
+      const record = await getProjectMapping(req.params.wsId);
+      if (!record) {
+        res.status(404).json({ error: 'Not found' });
+        return;
+      }
+
+      await enqueueEvent(
+        { object: { type: 'project', id: record.wsId }, action: 'post', new: { title: record.title } },
+        { requestId: req.requestId, tenant: currentTenant()?.id || null }
+      );
+      logInfo(`Provisioning retry for project ${record.wsId} queued from dashboard`);
+      redirectWithNotice(res, `Provisioning retry queued for project #${record.wsId}`);
+    } catch (err) {
+      logError(`Failed to queue provisioning retry for project ${req.params.wsId}:`, err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.post('/dead-letters/:id/replay', requireSameOrigin, async (req, res) => {
+    try {
+      const job = await replayDeadLetter(req.params.id);
+      if (!job) {
+        res.status(404).json({ error: 'Not found' });
+        return;
+      }
+      logInfo(`Dead-letter job ${job.id} replayed from dashboard`);
+      redirectWithNotice(res, `Job ${job.id} returned to the queue`);
+    } catch (err) {
+      logError(`Failed to replay dead-letter job ${req.params.id}:`, err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,53 @@
+// dates.js
+// Даты в часовом поясе студии (для {date} в шаблонах папок и планировщика)
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const TIMEZONE = process.env.STUDIO_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Проверить, что часовой пояс известен Intl. Бросает ошибку, если нет.
+ */
+export function assertTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error(`Unknown timezone: ${timeZone}`);
+  }
+  return timeZone;
+}
+
+/**
+ * Части даты/времени в заданном часовом поясе.
+ * Возвращает { date: 'YYYY-MM-DD', time: 'HH:MM', weekday: 'Mon'..'Sun' }.
+ */
+export function localDateParts(date = new Date(), timeZone = TIMEZONE) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23',
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: parts.weekday,
+  };
+}
+
+/**
+ * Сегодняшняя дата YYYY-MM-DD в часовом поясе студии.
+ */
+export function todayStr(timeZone = TIMEZONE) {
+  return localDateParts(new Date(), timeZone).date;
+}
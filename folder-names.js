@@ -0,0 +1,114 @@
+// folder-names.js
+// Безопасные имена папок pCloud из названий проектов Worksection
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Настройки по умолчанию (из env)
+export const DEFAULT_NAME_OPTIONS = {
+  // none — оставить кириллицу как есть, ru — транслитерировать в латиницу
+  transliterate: process.env.FOLDER_NAME_TRANSLIT || 'none',
+  // максимальная длина имени в символах
+  maxLength: Number(process.env.FOLDER_NAME_MAX_LENGTH) || 100,
+  // collision — добавлять _<wsId> только при совпадении имён, always — всегда, never — никогда
+  suffix: process.env.FOLDER_NAME_SUFFIX || 'collision',
+};
+
+const TRANSLIT_RU = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'zh', з: 'z', и: 'i',
+  й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+  у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '',
+  э: 'e', ю: 'yu', я: 'ya',
+  // украинские буквы
+  є: 'ye', і: 'i', ї: 'yi', ґ: 'g',
+};
+
+// Символы, недопустимые в именах папок (и разделители пути)
+const FORBIDDEN_CHARS = /[/\\:*?"<>|]/g;
+// Управляющие символы
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/g;
+// Эмодзи, модификаторы, ZWJ и variation selectors
+const EMOJI = /[\p{Extended_Pictographic}\p{Emoji_Modifier}\u200d\ufe0e\ufe0f\u20e3]/gu;
+
+function transliterateRu(str) {
+  return Array.from(str)
+    .map((ch) => {
+      const lower = ch.toLowerCase();
+      const mapped = TRANSLIT_RU[lower];
+      if (mapped === undefined) return ch;
+      if (ch === lower || mapped === '') return mapped;
+      return mapped.charAt(0).toUpperCase() + mapped.slice(1);
+    })
+    .join('');
+}
+
+function trimName(str) {
+  // Пробелы по краям и точки в конце (pCloud/Windows-клиенты их не любят)
+  return str.replace(/^\s+/, '').replace(/[\s.]+$/, '');
+}
+
+function truncate(str, maxLength) {
+  const chars = Array.from(str);
+  if (chars.length <= maxLength) return str;
+  return trimName(chars.slice(0, maxLength).join(''));
+}
+
+/**
+ * Привести название проекта к безопасному имени папки.
+ * Результат никогда не пустой и не содержит разделителей пути.
+ */
+export function sanitizeFolderName(name, options = {}) {
+  const opts = { ...DEFAULT_NAME_OPTIONS, ...options };
+
+  let result = String(name ?? '').normalize('NFC');
+
+  if (opts.transliterate === 'ru') {
+    result = transliterateRu(result);
+  }
+
+  result = result
+    .replace(EMOJI, '')
+    .replace(/\s+/g, ' ')
+    .replace(CONTROL_CHARS, '')
+    .replace(FORBIDDEN_CHARS, '_');
+
+  result = truncate(trimName(result), opts.maxLength);
+
+  // "." и ".." — не имена папок
+  if (!result || /^\.+$/.test(result)) {
+    return '_';
+  }
+
+  return result;
+}
+
+/**
+ * Имя с детерминированным суффиксом _<wsId>, укладывающееся в maxLength.
+ */
+export function withProjectSuffix(name, wsId, options = {}) {
+  const opts = { ...DEFAULT_NAME_OPTIONS, ...options };
+  const suffix = `_${wsId}`;
+  if (name.endsWith(suffix)) return name;
+
+  const base = truncate(name, Math.max(1, opts.maxLength - suffix.length));
+  return `${base}${suffix}`;
+}
+
+/**
+ * Итоговое имя папки проекта.
+ * isTaken(name) — занято ли имя другим проектом в той же родительской папке.
+ */
+export function resolveFolderName(title, wsId, isTaken, options = {}) {
+  const opts = { ...DEFAULT_NAME_OPTIONS, ...options };
+  const name = sanitizeFolderName(title || `project_${wsId}`, opts);
+
+  if (opts.suffix === 'always') {
+    return withProjectSuffix(name, wsId, opts);
+  }
+
+  if (opts.suffix === 'collision' && isTaken(name)) {
+    return withProjectSuffix(name, wsId, opts);
+  }
+
+  return name;
+}
@@ -0,0 +1,156 @@
+// links.js
+// Ссылки на папки pCloud в проекте Worksection (комментарий к задаче или описание проекта)
+//
+// WS_LINKS_TARGET   — project (дописать в описание проекта, по умолчанию), comment (комментарий
+//                     к первой активной задаче проекта) или off
+// WS_LINKS_TEMPLATE — текст сообщения; {project} — название проекта, {link:<key>} — ссылка на папку
+//                     из маппинга (project, previewBase, finalRender или key из шаблона папок); \n — перевод строки
+// PCLOUD_LINK_MODE  — web (ссылка в веб-интерфейс pCloud, открывается только у тех, кому папка
+//                     расшарена; по умолчанию) или publink (публичная ссылка getfolderpublink).
+//                     publink — явное согласие на публичный доступ: ссылка пишется в описание проекта
+//                     или комментарий, и любой, кто её увидит (в т.ч. гости и клиенты Worksection),
+//                     получит все файлы папки без входа в pCloud.
+//                     Уведомления о новых файлах (notifier.js) в режиме publink дают публичную ссылку
+//                     на каждый файл, в режиме web — только ссылку на папку (файл открывается из неё).
+import dotenv from 'dotenv';
+import { createLogger } from './logger.js';
+import { getFolderPublink, getFilePublink } from './pcloud.js';
+import { getProject, getTasks, postComment, updateProject } from './worksection.js';
+import { getProjectMapping, saveProjectMapping } from './projects.js';
+
+dotenv.config();
+
+const LINKS_TARGET = process.env.WS_LINKS_TARGET || 'project';
+const LINK_MODE = process.env.PCLOUD_LINK_MODE || 'web';
+const PCLOUD_WEB_URL = process.env.PCLOUD_WEB_URL || 'https://my.pcloud.com';
+
+const DEFAULT_TEMPLATE = [
+  'Папки pCloud для проекта {project}:',
+  'Проект: {link:project}',
+  'Preview: {link:previewBase}',
+  'Final_render: {link:finalRender}',
+].join('\n');
+
+const LINKS_TEMPLATE = (process.env.WS_LINKS_TEMPLATE || DEFAULT_TEMPLATE).replace(/\\n/g, '\n');
+
+// ========================================
+// ЛОГИРОВАНИЕ
+// ========================================
+const llog = createLogger('LINKS');
+
+const llogInfo = llog.info;
+const llogWarn = llog.warn;
+const llogError = llog.error;
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Ключи папок, на которые ссылается шаблон сообщения.
+ */
+function referencedFolderKeys(template) {
+  return [...template.matchAll(/\{link:([^}]+)\}/g)].map((m) => m[1]);
+}
+
+/**
+ * Подставить название проекта и ссылки в шаблон. Нет ссылки — прочерк.
+ */
+export function renderLinksMessage(template, { project, links }) {
+  return template
+    .replace(/\{project\}/g, project)
+    .replace(/\{link:([^}]+)\}/g, (m, key) => links[key]?.link || '—');
+}
+
+/**
+ * Ссылка на папку по PCLOUD_LINK_MODE: { link, ... }.
+ */
+export async function createFolderLink(folderId) {
+  if (LINK_MODE === 'web') {
+    return { link: `${PCLOUD_WEB_URL.replace(/\/$/, '')}/#page=filemanager&folder=${folderId}` };
+  }
+  return getFolderPublink(folderId);
+}
+
+/**
+ * Ссылка на файл по PCLOUD_LINK_MODE: { link, ... } в publink, null в web —
+ * отдельного адреса файла в веб-интерфейсе бридж не строит.
+ */
+export async function createFileLink(fileId) {
+  if (LINK_MODE === 'web') return null;
+  return getFilePublink(fileId);
+}
+
+async function postToWorksection(projectId, message) {
+  if (LINKS_TARGET === 'comment') {
+    const tasks = await getTasks(projectId, { filter: 'active' });
+    if (tasks.length === 0) {
+      throw new Error(`Project ${projectId} has no active tasks to comment on`);
+    }
+    await postComment(tasks[0].id, message);
+    return { target: 'comment', taskId: tasks[0].id };
+  }
+
+  // Дописываем ссылки к существующему описанию проекта, а не затираем его
+  const project = await getProject(projectId, { extra: 'text' });
+  const currentText = project.text || '';
+  const text = currentText ? `${currentText}\n\n${message}` : message;
+  await updateProject(projectId, { text });
+  return { target: 'project' };
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Создать ссылки на папки проекта и отправить их в Worksection.
+ * Ничего не бросает: ошибка записывается в маппинг и лог, провижининг не падает.
+ * Повторный вызов после успешной отправки ничего не делает.
+ */
+export async function publishProjectLinks(projectId) {
+  if (LINKS_TARGET === 'off') return null;
+
+  const record = await getProjectMapping(projectId);
+  if (!record) {
+    llogWarn(`Project ${projectId} has no pCloud folder mapping, no links to publish`);
+    return null;
+  }
+
+  if (record.linksPostedAt) {
+    llogInfo(`Links for project ${projectId} already posted at ${record.linksPostedAt}, skipping`);
+    return record.links;
+  }
+
+  record.links = record.links || {};
+
+  try {
+    for (const key of referencedFolderKeys(LINKS_TEMPLATE)) {
+      const folder = record.folders[key];
+      if (record.links[key] || !folder?.folderid) continue;
+
+      record.links[key] = await createFolderLink(folder.folderid);
+      await saveProjectMapping(record);
+    }
+
+    const message = renderLinksMessage(LINKS_TEMPLATE, {
+      project: record.title || record.name,
+      links: record.links,
+    });
+
+    const posted = await postToWorksection(projectId, message);
+
+    record.linksPostedAt = new Date().toISOString();
+    record.linksTarget = posted;
+    delete record.linksError;
+    await saveProjectMapping(record);
+
+    llogInfo(`Links for project ${projectId} posted to Worksection (${posted.target})`);
+    return record.links;
+  } catch (err) {
+    llogError(`Failed to publish links for project ${projectId}:`, err.message);
+    record.linksError = err.message;
+    await saveProjectMapping(record);
+    return null;
+  }
+}
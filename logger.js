@@ -0,0 +1,184 @@
+// logger.js
+// Общий логгер: уровни, текстовый или JSON-вывод, requestId из контекста, маскирование секретов, ротация файла
+//
+// LOG_LEVEL          — debug | info (по умолчанию) | warn | error
+// LOG_FORMAT         — text (по умолчанию) или json (одна JSON-строка на запись)
+// LOG_FILE           — дополнительно писать лог в файл (например ./logs/bridge.log)
+// LOG_FILE_MAX_BYTES — размер файла, после которого он ротируется (по умолчанию 10 МБ)
+// LOG_FILE_MAX_FILES — сколько старых файлов хранить: bridge.log.1 … bridge.log.N (по умолчанию 5)
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_LEVEL = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+const LOG_FILE = process.env.LOG_FILE || null;
+const LOG_FILE_MAX_BYTES = Number(process.env.LOG_FILE_MAX_BYTES) || 10 * 1024 * 1024;
+const LOG_FILE_MAX_FILES = Math.max(1, Number(process.env.LOG_FILE_MAX_FILES) || 5);
+
+const MASK = '***';
+
+// Ключи объектов, значения которых никогда не попадают в лог
+const SECRET_KEY_RE = /^(auth|authorization|proxy-authorization|cookie|set-cookie|pass|passwd|hash|x-signature|x-webhook-secret)$|password|token|secret|api_?key/i;
+
+// Секреты внутри строк: заголовки Basic/Bearer, параметры URL и поля JSON
+const SECRET_STRING_PATTERNS = [
+  [/\b(Basic|Bearer)\s+[A-Za-z0-9._~+/=-]+/gi, `$1 ${MASK}`],
+  [/([?&](?:auth|access_token|refresh_token|password|token|hash|secret)=)[^&\s"']+/gi, `$1${MASK}`],
+  [/("(?:auth|authorization|password|access_token|refresh_token|token|secret)"\s*:\s*)"[^"]*"/gi, `$1"${MASK}"`],
+];
+
+const context = new AsyncLocalStorage();
+
+// Поток для строк лога; null — console.log (stdout)
+let output = null;
+
+// ========================================
+// REDACTION
+// ========================================
+
+function redactString(value) {
+  return SECRET_STRING_PATTERNS.reduce((str, [re, replacement]) => str.replace(re, replacement), value);
+}
+
+/**
+ * Копия значения с замаскированными секретами (по именам ключей и по шаблонам в строках).
+ */
+export function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > 8) return '[Object]';
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message), stack: value.stack && redactString(value.stack) };
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEY_RE.test(key) && item !== null && item !== undefined && item !== '' ? MASK : redact(item, depth + 1, seen),
+    ])
+  );
+}
+
+// ========================================
+// CONTEXT
+// ========================================
+
+/**
+ * Выполнить fn с контекстом логирования (requestId, jobId…): все записи внутри,
+ * включая асинхронные вызовы, получат эти поля.
+ */
+export function runWithLogContext(fields, fn) {
+  return context.run({ ...getLogContext(), ...fields }, fn);
+}
+
+export function getLogContext() {
+  return context.getStore() || {};
+}
+
+// ========================================
+// FILE OUTPUT
+// ========================================
+let fileSize = null;
+
+function rotateLogFile() {
+  for (let i = LOG_FILE_MAX_FILES - 1; i >= 1; i--) {
+    if (fs.existsSync(`${LOG_FILE}.${i}`)) {
+      fs.renameSync(`${LOG_FILE}.${i}`, `${LOG_FILE}.${i + 1}`);
+    }
+  }
+  fs.renameSync(LOG_FILE, `${LOG_FILE}.1`);
+  fileSize = 0;
+}
+
+function writeToFile(line) {
+  try {
+    if (fileSize === null) {
+      fs.mkdirSync(path.dirname(LOG_FILE), { recursive: true });
+      fileSize = fs.existsSync(LOG_FILE) ? fs.statSync(LOG_FILE).size : 0;
+    }
+    // Размер в байтах, а не в символах: кириллица в UTF-8 занимает по два байта
+    const bytes = Buffer.byteLength(line) + 1;
+    if (fileSize > 0 && fileSize + bytes > LOG_FILE_MAX_BYTES) {
+      rotateLogFile();
+    }
+    fs.appendFileSync(LOG_FILE, `${line}\n`);
+    fileSize += bytes;
+  } catch (err) {
+    // Лог в файл не должен ронять процесс: пишем причину только в консоль
+    console.error(`[LOG] Failed to write ${LOG_FILE}:`, err.message);
+  }
+}
+
+// ========================================
+// LOGGER
+// ========================================
+
+function formatLine(component, level, args) {
+  const timestamp = new Date().toISOString();
+  const { requestId, ...extra } = getLogContext();
+  const safeArgs = args.map((arg) => redact(arg));
+
+  if (LOG_FORMAT === 'json') {
+    return JSON.stringify({
+      ts: timestamp,
+      level: level.toLowerCase(),
+      component: component || undefined,
+      requestId,
+      ...extra,
+      msg: util.formatWithOptions({ breakLength: Infinity }, ...safeArgs),
+    });
+  }
+
+  const prefix = [
+    component ? `[${component}]` : null,
+    `[${level.padEnd(5)}]`,
+    `[${timestamp}]`,
+    requestId ? `[${requestId}]` : null,
+  ].filter(Boolean).join(' ');
+  return util.format(prefix, ...safeArgs);
+}
+
+/**
+ * Писать лог в другой поток (например, process.stderr, когда stdout занят JSON-отчётом).
+ * Без аргумента — снова console.log.
+ */
+export function setLogOutput(stream = null) {
+  output = stream;
+}
+
+/**
+ * Логгер модуля: { debug, info, warn, error }. component — префикс вида [PCLOUD].
+ */
+export function createLogger(component = null) {
+  const write = (level) => (...args) => {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+    const line = formatLine(component, level.toUpperCase(), args);
+    if (output) output.write(`${line}\n`);
+    else console.log(line);
+    if (LOG_FILE) writeToFile(line);
+  };
+
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+  };
+}
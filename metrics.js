@@ -0,0 +1,197 @@
+// metrics.js
+// Метрики бриджа в текстовом формате Prometheus (GET /metrics)
+//
+// Счётчики и гистограммы живут в памяти процесса и обнуляются при рестарте — это нормально для Prometheus.
+// Gauge-метрики (глубина очереди) считаются в момент запроса через collect().
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+// ========================================
+// FORMAT
+// ========================================
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`;
+}
+
+/**
+ * Ключ серии: значения меток в порядке labelNames (отсутствующие — пустая строка).
+ */
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function keyToLabels(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+// ========================================
+// METRIC TYPES
+// ========================================
+
+/**
+ * Счётчик: только растёт. inc(labels, value = 1).
+ */
+export function counter(name, help, labelNames = []) {
+  const series = new Map();
+  // Счётчик без меток виден в выводе сразу, с нулём
+  if (labelNames.length === 0) series.set(seriesKey(labelNames, {}), 0);
+
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    render() {
+      return [...series].map(([key, value]) => `${name}${formatLabels(keyToLabels(labelNames, key))} ${value}`);
+    },
+  });
+}
+
+/**
+ * Гистограмма длительностей в секундах. observe(labels, seconds).
+ */
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels = {}, value) {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const s = series.get(key);
+      buckets.forEach((le, i) => {
+        if (value <= le) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+    },
+    /**
+     * Засечь время выполнения fn; labelsFn(result, error) возвращает метки по итогу.
+     */
+    async time(fn, labelsFn) {
+      const start = process.hrtime.bigint();
+      const elapsed = () => Number(process.hrtime.bigint() - start) / 1e9;
+      try {
+        const result = await fn();
+        this.observe(labelsFn(result, null), elapsed());
+        return result;
+      } catch (err) {
+        this.observe(labelsFn(null, err), elapsed());
+        throw err;
+      }
+    },
+    render() {
+      const lines = [];
+      for (const [key, s] of series) {
+        const labels = keyToLabels(labelNames, key);
+        buckets.forEach((le, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${s.count}`);
+      }
+      return lines;
+    },
+  });
+}
+
+/**
+ * Gauge, значение которого считается при каждом запросе метрик.
+ * collect() возвращает число или массив [{ labels, value }].
+ */
+export function gauge(name, help, collect) {
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    async render() {
+      const result = await collect();
+      const values = typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+      return values.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+    },
+  });
+}
+
+/**
+ * Все метрики в текстовом формате Prometheus 0.0.4.
+ */
+export async function renderMetrics() {
+  const blocks = [];
+  for (const metric of registry.values()) {
+    blocks.push(`# HELP ${metric.name} ${metric.help}`);
+    blocks.push(`# TYPE ${metric.name} ${metric.type}`);
+    blocks.push(...(await metric.render()));
+  }
+  return `${blocks.join('\n')}\n`;
+}
+
+// ========================================
+// BRIDGE METRICS
+// ========================================
+
+export const webhookRequests = counter(
+  'bridge_webhook_requests_total',
+  'Webhook requests by outcome (accepted, unauthorized, enqueue_failed)',
+  ['outcome']
+);
+
+export const webhookEvents = counter(
+  'bridge_webhook_events_total',
+  'Webhook events received by object type and action',
+  ['type', 'action']
+);
+
+export const pcloudCalls = counter(
+  'bridge_pcloud_calls_total',
+  'pCloud API calls by method and result code (network_error for transport failures)',
+  ['method', 'result']
+);
+
+export const pcloudRelogins = counter(
+  'bridge_pcloud_relogins_total',
+  'pCloud logins triggered by a rejected auth token'
+);
+
+export const worksectionDuration = histogram(
+  'bridge_worksection_request_duration_seconds',
+  'Worksection API request latency by action and outcome',
+  ['action', 'outcome']
+);
+
+export const shareOperations = counter(
+  'bridge_share_operations_total',
+  'pCloud share operations by action (add, remove, change) and result (ok, failed)',
+  ['action', 'result']
+);
+
+export const attachmentUploads = counter(
+  'bridge_attachment_uploads_total',
+  'Worksection attachments copied to pCloud by result (uploaded, duplicate, failed)',
+  ['result']
+);
@@ -0,0 +1,335 @@
+// notifier.js
+// Уведомления pCloud → Worksection: новые файлы в Final_render / Preview → комментарий в задаче
+//
+// NOTIFY_POLLER           — 1/true, чтобы включить (по умолчанию выключен)
+// NOTIFY_POLL_INTERVAL_MS — период опроса pCloud diff (по умолчанию 30 секунд)
+// NOTIFY_DEBOUNCE_MS      — сколько ждать тишины после последнего файла, прежде чем писать комментарий
+//                           (по умолчанию 60 секунд): пачка файлов — один комментарий
+// NOTIFY_MAX_WAIT_MS      — не ждать дольше этого при непрерывной заливке (по умолчанию 10 минут)
+// NOTIFY_FOLDERS          — ключи отслеживаемых папок (по умолчанию finalRender,previewBase,preview;
+//                           датированные Preview/<дата> идут под ключом preview, task — папки задач)
+//
+// Файл в папке задачи — комментарий в эту задачу; в папке проекта — в задачу, куда ушли ссылки
+// (WS_LINKS_TARGET=comment), иначе в первую активную задачу проекта.
+// diffid и накопленные пачки хранятся в DATA_DIR/notify.json: после рестарта ничего не теряется.
+// У каждого тенанта (tenants.js) свой pCloud, поэтому опрос и состояние у них раздельные.
+import dotenv from 'dotenv';
+import { createLogger } from './logger.js';
+import { getDiff } from './pcloud.js';
+import { getTasks, postComment } from './worksection.js';
+import { listProjectMappings, getProjectMapping } from './projects.js';
+import { createFolderLink, createFileLink } from './links.js';
+import { listBridgeUploads } from './attachments.js';
+import { readJson, writeJson } from './store.js';
+import { audit } from './audit.js';
+import { forEachTenant } from './tenants.js';
+
+dotenv.config();
+
+const STATE_FILE = 'notify.json';
+const DIFF_PAGE_SIZE = 1000;
+// Сколько раз пытаться отправить комментарий, прежде чем отбросить пачку
+const MAX_POST_ATTEMPTS = 5;
+// Сколько имён файлов перечислять в одном комментарии
+const MAX_LISTED_FILES = 20;
+
+const ENABLED = ['1', 'true'].includes(process.env.NOTIFY_POLLER);
+const POLL_INTERVAL_MS = Number(process.env.NOTIFY_POLL_INTERVAL_MS) || 30 * 1000;
+const DEBOUNCE_MS = Number(process.env.NOTIFY_DEBOUNCE_MS ?? 60 * 1000);
+const MAX_WAIT_MS = Number(process.env.NOTIFY_MAX_WAIT_MS) || 10 * 60 * 1000;
+const WATCHED_KEYS = (process.env.NOTIFY_FOLDERS || 'finalRender,previewBase,preview')
+  .split(',')
+  .map((k) => k.trim())
+  .filter(Boolean);
+
+let timer = null;
+let running = null;
+
+// ========================================
+// ЛОГИРОВАНИЕ
+// ========================================
+const nlog = createLogger('NOTIFY');
+
+const nlogInfo = nlog.info;
+const nlogWarn = nlog.warn;
+const nlogError = nlog.error;
+
+// ========================================
+// STATE
+// ========================================
+
+// { diffid, batches: { [folderid]: { wsId, taskId, key, folderid, path, files: [{ fileid, name }], firstAt, lastAt, attempts } } }
+async function loadState() {
+  const state = await readJson(STATE_FILE, {});
+  return { diffid: state.diffid ?? null, batches: state.batches || {} };
+}
+
+async function saveState(state) {
+  await writeJson(STATE_FILE, state);
+}
+
+/**
+ * folderid → { wsId, key, path, taskId } для отслеживаемых папок активных проектов.
+ */
+async function buildWatchMap() {
+  const watch = new Map();
+  const add = (record, key, folder, taskId = null) => {
+    if (folder?.folderid) watch.set(folder.folderid, { wsId: record.wsId, key, path: folder.path, taskId });
+  };
+
+  for (const record of await listProjectMappings()) {
+    if (record.archivedAt) continue;
+
+    for (const key of WATCHED_KEYS) add(record, key, record.folders[key]);
+
+    for (const folders of Object.values(record.datedFolders || {})) {
+      for (const folder of folders) {
+        if (WATCHED_KEYS.includes(folder.key)) add(record, folder.key, folder);
+      }
+    }
+
+    if (WATCHED_KEYS.includes('task')) {
+      for (const [taskId, task] of Object.entries(record.tasks || {})) add(record, 'task', task, taskId);
+    }
+  }
+
+  return watch;
+}
+
+// ========================================
+// POLL
+// ========================================
+
+/**
+ * Забрать новые события pCloud diff и разложить новые файлы по пачкам (по папкам).
+ * Первый запуск только запоминает текущий diffid — старые файлы не объявляются.
+ */
+export async function pollChanges() {
+  const state = await loadState();
+
+  if (state.diffid === null) {
+    const { diffid } = await getDiff();
+    state.diffid = diffid;
+    await saveState(state);
+    nlogInfo(`Started watching pCloud changes from diffid ${diffid}`);
+    return { added: 0, removed: 0 };
+  }
+
+  const watch = await buildWatchMap();
+  const now = new Date().toISOString();
+  let added = 0;
+  let removed = 0;
+
+  while (true) {
+    const { diffid, entries } = await getDiff({ diffid: state.diffid, limit: DIFF_PAGE_SIZE });
+    // Загрузки бриджа берём после diff: файл из diff либо уже в индексе вложений, либо ещё загружается
+    const own = await listBridgeUploads();
+
+    for (const entry of entries) {
+      const meta = entry.metadata;
+      if (!meta || meta.isfolder) continue;
+
+      // Файл удалили до отправки комментария (например, дубль) — не объявляем его
+      if (entry.event === 'deletefile') {
+        for (const batch of Object.values(state.batches)) {
+          const before = batch.files.length;
+          batch.files = batch.files.filter((f) => f.fileid !== meta.fileid);
+          removed += before - batch.files.length;
+        }
+        continue;
+      }
+
+      if (entry.event !== 'createfile') continue;
+
+      const target = watch.get(meta.parentfolderid);
+      if (!target || own.fileIds.has(meta.fileid) || own.inFlight.has(`${meta.parentfolderid}:${meta.size}`)) continue;
+
+      const batch = state.batches[meta.parentfolderid] || {
+        ...target,
+        folderid: meta.parentfolderid,
+        files: [],
+        firstAt: now,
+        attempts: 0,
+      };
+      batch.files.push({ fileid: meta.fileid, name: meta.name });
+      batch.lastAt = now;
+      state.batches[meta.parentfolderid] = batch;
+      added++;
+    }
+
+    state.diffid = diffid;
+    if (entries.length < DIFF_PAGE_SIZE) break;
+  }
+
+  await saveState(state);
+  if (added > 0 || removed > 0) {
+    nlogInfo(`pCloud changes: ${added} new file(s) queued for notification, ${removed} removed`);
+  }
+  return { added, removed };
+}
+
+// ========================================
+// NOTIFY
+// ========================================
+
+async function resolveTaskId(batch, record) {
+  if (batch.taskId) return batch.taskId;
+  if (record.linksTarget?.taskId) return record.linksTarget.taskId;
+
+  const tasks = await getTasks(batch.wsId, { filter: 'active' });
+  if (tasks.length === 0) {
+    throw new Error(`Project ${batch.wsId} has no active tasks to comment on`);
+  }
+  return tasks[0].id;
+}
+
+function relativeFolderName(batch, record) {
+  return batch.path.startsWith(`${record.projectPath}/`) ? batch.path.slice(record.projectPath.length + 1) : batch.path;
+}
+
+/**
+ * Текст комментария: папка, список файлов (не больше MAX_LISTED_FILES, со ссылками, если есть) и ссылка на папку.
+ */
+export function renderNotification({ folder, files, link }) {
+  const listed = files.slice(0, MAX_LISTED_FILES).map((f) => `• ${f.name}${f.link ? ` — ${f.link}` : ''}`);
+  if (files.length > MAX_LISTED_FILES) {
+    listed.push(`… и ещё ${files.length - MAX_LISTED_FILES}`);
+  }
+  return [`Новые файлы в ${folder} (${files.length}):`, ...listed, link ? `Папка: ${link}` : null]
+    .filter((line) => line !== null)
+    .join('\n');
+}
+
+/**
+ * Ссылка на файл для комментария; не получилась — файл останется в списке без ссылки.
+ */
+async function fileLink(file) {
+  try {
+    return (await createFileLink(file.fileid))?.link || null;
+  } catch (err) {
+    nlogWarn(`Cannot create link for file ${file.fileid} (${file.name}):`, err.message);
+    return null;
+  }
+}
+
+async function postBatch(batch) {
+  const record = await getProjectMapping(batch.wsId);
+  if (!record) {
+    throw new Error(`Project ${batch.wsId} has no pCloud folder mapping`);
+  }
+
+  const taskId = await resolveTaskId(batch, record);
+  const link = record.links?.[batch.key]?.link && record.folders[batch.key]?.folderid === batch.folderid
+    ? record.links[batch.key].link
+    : (await createFolderLink(batch.folderid)).link;
+
+  // Ссылки только на файлы, которые попадут в список комментария
+  const files = [];
+  for (const [i, file] of batch.files.entries()) {
+    files.push(i < MAX_LISTED_FILES ? { ...file, link: await fileLink(file) } : file);
+  }
+
+  const message = renderNotification({ folder: relativeFolderName(batch, record), files, link });
+  await postComment(taskId, message);
+  return taskId;
+}
+
+/**
+ * Отправить пачки, по которым истёк debounce (или MAX_WAIT). force — отправить все сразу.
+ */
+export async function flushNotifications({ force = false } = {}) {
+  const state = await loadState();
+  const now = Date.now();
+  const summary = { posted: 0, failed: 0, pending: 0 };
+
+  for (const [folderid, batch] of Object.entries(state.batches)) {
+    if (batch.files.length === 0) {
+      delete state.batches[folderid];
+      continue;
+    }
+
+    const quiet = now - Date.parse(batch.lastAt) >= DEBOUNCE_MS;
+    const waitedTooLong = now - Date.parse(batch.firstAt) >= MAX_WAIT_MS;
+    if (!force && !quiet && !waitedTooLong) {
+      summary.pending++;
+      continue;
+    }
+
+    try {
+      const taskId = await postBatch(batch);
+      delete state.batches[folderid];
+      summary.posted++;
+      nlogInfo(`Project ${batch.wsId}: ${batch.files.length} new file(s) in ${batch.path} announced in task ${taskId}`);
+      await audit({ type: 'notify.comment', wsId: batch.wsId, taskId: String(taskId), folder: batch.key, files: batch.files.map((f) => f.name), result: 'ok' });
+    } catch (err) {
+      batch.attempts = (batch.attempts || 0) + 1;
+      batch.lastError = err.message;
+      summary.failed++;
+      nlogError(`Project ${batch.wsId}: failed to announce new files (attempt ${batch.attempts}/${MAX_POST_ATTEMPTS}):`, err.message);
+
+      if (batch.attempts >= MAX_POST_ATTEMPTS) {
+        delete state.batches[folderid];
+        await audit({ type: 'notify.comment', wsId: batch.wsId, folder: batch.key, files: batch.files.map((f) => f.name), result: 'failed', error: err.message });
+      }
+    }
+  }
+
+  await saveState(state);
+  return summary;
+}
+
+// ========================================
+// SCHEDULE
+// ========================================
+
+/**
+ * Один цикл по всем аккаунтам: опрос diff и отправка созревших пачек. Параллельные вызовы ждут текущий цикл.
+ */
+export async function runNotifierCycle() {
+  if (running) return running;
+
+  running = (async () => {
+    const results = await forEachTenant(async () => {
+      await pollChanges();
+      return flushNotifications();
+    });
+    for (const [tenantId, { error }] of Object.entries(results)) {
+      if (error) nlogError(`Notifier cycle failed (${tenantId}):`, error);
+    }
+    return results;
+  })();
+
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+/**
+ * Запустить опрос pCloud раз в NOTIFY_POLL_INTERVAL_MS.
+ */
+export function startNotifier() {
+  if (!ENABLED) {
+    nlogInfo('pCloud → Worksection file notifications disabled (NOTIFY_POLLER not set)');
+    return;
+  }
+  if (timer) return;
+
+  nlogInfo('pCloud → Worksection file notifications started', {
+    intervalMs: POLL_INTERVAL_MS,
+    debounceMs: DEBOUNCE_MS,
+    folders: WATCHED_KEYS,
+  });
+
+  const tick = () => runNotifierCycle().catch((err) => nlogError('Notifier cycle failed:', err.message));
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+}
+
+export function stopNotifier() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,114 @@
+// pcloud-oauth.js
+// OAuth2 (authorization code) для pCloud: вместо пароля аккаунта бридж хранит зашифрованный access_token
+//
+// PCLOUD_OAUTH_REDIRECT_URI — адрес колбэка, зарегистрированный в приложении pCloud
+//                             (по умолчанию <схема>://<хост запроса>/oauth/pcloud/callback)
+//
+// /oauth/pcloud/start закрыт служебной авторизацией; колбэк открыт (туда редиректит pCloud)
+// и принимает только одноразовый state, выданный в start.
+import crypto from 'crypto';
+import express from 'express';
+import dotenv from 'dotenv';
+import { exchangeOAuthCode, resetPcloudAuth } from './pcloud.js';
+import { isOAuthConfigured, resolveApiHost, saveOAuthToken } from './pcloud-token.js';
+import { createLogger } from './logger.js';
+
+dotenv.config();
+
+const AUTHORIZE_URL = 'https://my.pcloud.com/oauth2/authorize';
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const log = createLogger('OAUTH');
+
+const logInfo = log.info;
+const logWarn = log.warn;
+const logError = log.error;
+
+// state → срок действия; state одноразовый
+const pendingStates = new Map();
+
+function issueState() {
+  const now = Date.now();
+  for (const [state, expiresAt] of pendingStates) {
+    if (expiresAt <= now) pendingStates.delete(state);
+  }
+
+  const state = crypto.randomBytes(24).toString('hex');
+  pendingStates.set(state, now + STATE_TTL_MS);
+  return state;
+}
+
+function consumeState(state) {
+  const expiresAt = pendingStates.get(state);
+  pendingStates.delete(state);
+  return !!expiresAt && expiresAt > Date.now();
+}
+
+function redirectUri(req) {
+  return process.env.PCLOUD_OAUTH_REDIRECT_URI || `${req.protocol}://${req.get('host')}/oauth/pcloud/callback`;
+}
+
+/**
+ * Роутер для монтирования на /oauth/pcloud. requireAuth — middleware служебных эндпоинтов.
+ */
+export function createPcloudOAuthRouter({ requireAuth }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!isOAuthConfigured()) {
+      res.status(404).json({ error: 'pCloud OAuth is not configured' });
+      return;
+    }
+    next();
+  });
+
+  router.get('/start', requireAuth, (req, res) => {
+    const url = new URL(AUTHORIZE_URL);
+    url.searchParams.set('client_id', process.env.PCLOUD_CLIENT_ID);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('redirect_uri', redirectUri(req));
+    url.searchParams.set('state', issueState());
+
+    logInfo(`pCloud OAuth authorization started from ${req.ip}`);
+    res.redirect(302, url.toString());
+  });
+
+  // pCloud возвращает code, state, locationid и hostname API-сервера аккаунта (api. — США, eapi. — Европа)
+  router.get('/callback', async (req, res) => {
+    const { code, state, error } = req.query;
+
+    if (typeof state !== 'string' || !consumeState(state)) {
+      logWarn(`pCloud OAuth callback with unknown or expired state from ${req.ip}`);
+      res.status(400).json({ error: 'Invalid or expired state' });
+      return;
+    }
+    if (error || typeof code !== 'string' || !code) {
+      logWarn('pCloud OAuth authorization was not granted:', error || 'no code');
+      res.status(400).json({ error: `Authorization not granted: ${error || 'no code'}` });
+      return;
+    }
+
+    let apiHost;
+    try {
+      apiHost = resolveApiHost({ hostname: req.query.hostname, locationid: req.query.locationid });
+    } catch (err) {
+      logWarn(`pCloud OAuth callback rejected from ${req.ip}:`, err.message);
+      res.status(400).json({ error: err.message });
+      return;
+    }
+
+    try {
+      const token = await exchangeOAuthCode(code, apiHost);
+      const saved = await saveOAuthToken({ ...token, apiHost });
+      resetPcloudAuth();
+
+      logInfo(`pCloud OAuth authorized: userid ${saved.userid ?? '?'}, API host ${apiHost || 'default'}`);
+      res.redirect(303, `/admin/dashboard?notice=${encodeURIComponent(`pCloud connected (API host ${apiHost || 'default'})`)}`);
+    } catch (err) {
+      logError('pCloud OAuth callback failed:', err.message);
+      res.status(502).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,110 @@
+// pcloud-token.js
+// Хранение OAuth-токена pCloud на диске в зашифрованном виде (AES-256-GCM)
+//
+// PCLOUD_CLIENT_ID / PCLOUD_CLIENT_SECRET — приложение pCloud (https://docs.pcloud.com/methods/oauth_2.0/)
+// PCLOUD_TOKEN_KEY — ключ шифрования токена (любая длинная случайная строка). Без него OAuth выключен:
+//                    токен в открытом виде на диск не пишем.
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { readJson, writeJson } from './store.js';
+
+dotenv.config();
+
+const TOKEN_FILE = 'pcloud-oauth-token.json';
+const CIPHER = 'aes-256-gcm';
+
+// locationid из OAuth → API-хост аккаунта (1 — США, 2 — Европа)
+const LOCATION_HOSTS = {
+  1: 'api.pcloud.com',
+  2: 'eapi.pcloud.com',
+};
+
+// Расшифрованный токен в памяти процесса (undefined — ещё не читали файл)
+let cachedToken;
+
+/**
+ * OAuth включён: заданы приложение pCloud и ключ шифрования токена.
+ */
+export function isOAuthConfigured() {
+  return !!(process.env.PCLOUD_CLIENT_ID && process.env.PCLOUD_CLIENT_SECRET && process.env.PCLOUD_TOKEN_KEY);
+}
+
+/**
+ * API-хост аккаунта: hostname из редиректа OAuth, иначе по locationid.
+ * hostname приходит в URL колбэка и подделывается, а на этот хост уходят client_secret и токен —
+ * поэтому принимаем только известные хосты pCloud, остальное — ошибка.
+ */
+export function resolveApiHost({ hostname, locationid }) {
+  if (hostname) {
+    const host = String(hostname).toLowerCase();
+    if (!Object.values(LOCATION_HOSTS).includes(host)) {
+      throw new Error(`pCloud OAuth: unknown API host "${hostname}"`);
+    }
+    return host;
+  }
+  return LOCATION_HOSTS[Number(locationid)] || null;
+}
+
+// ========================================
+// ШИФРОВАНИЕ
+// ========================================
+
+function encryptionKey() {
+  // scrypt растягивает произвольную строку из env до 256-битного ключа
+  return crypto.scryptSync(process.env.PCLOUD_TOKEN_KEY, 'ws-pcloud-bridge:pcloud-token', 32);
+}
+
+export function encryptToken(token) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(token), 'utf8'), cipher.final()]);
+
+  return {
+    v: 1,
+    alg: CIPHER,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+export function decryptToken(envelope) {
+  if (envelope?.v !== 1 || envelope.alg !== CIPHER) {
+    throw new Error('pCloud OAuth token: unsupported token file format');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, encryptionKey(), Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const raw = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(raw.toString('utf8'));
+  } catch {
+    // GCM не даёт отличить неверный ключ от повреждённого файла
+    throw new Error('pCloud OAuth token: cannot decrypt token file (wrong PCLOUD_TOKEN_KEY or corrupted file)');
+  }
+}
+
+// ========================================
+// ХРАНИЛИЩЕ
+// ========================================
+
+/**
+ * Сохранить токен: { accessToken, apiHost, userid, locationid }.
+ */
+export async function saveOAuthToken(token) {
+  const record = { ...token, obtainedAt: new Date().toISOString() };
+  await writeJson(TOKEN_FILE, encryptToken(record));
+  cachedToken = record;
+  return record;
+}
+
+/**
+ * Сохранённый токен или null, если авторизация через OAuth ещё не пройдена.
+ */
+export async function loadOAuthToken() {
+  if (cachedToken === undefined) {
+    const envelope = await readJson(TOKEN_FILE, null);
+    cachedToken = envelope ? decryptToken(envelope) : null;
+  }
+  return cachedToken;
+}
@@ -1,10 +1,17 @@
 // pcloud.js
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { createLogger } from './logger.js';
+import { pcloudCalls, pcloudRelogins } from './metrics.js';
+import { isOAuthConfigured, loadOAuthToken } from './pcloud-token.js';
+import { currentTenant, currentTenantId } from './tenants.js';
 
 dotenv.config();
 
-const PCLOUD_API = process.env.PCLOUD_API || 'https://eapi.pcloud.com';
+// Явно заданный PCLOUD_API важнее хоста, определённого при OAuth-авторизации
+const PCLOUD_API_OVERRIDE = process.env.PCLOUD_API || null;
+
+// Вариант 0: OAuth2 (токен получен через /oauth/pcloud/start и хранится зашифрованным, см. pcloud-token.js)
 
 // Вариант 1: сразу задан auth-токен (или OAuth access_token)
 const STATIC_AUTH = process.env.PCLOUD_AUTH || null;
@@ -13,23 +20,159 @@ const STATIC_AUTH = process.env.PCLOUD_AUTH || null;
 const PCLOUD_USERNAME = process.env.PCLOUD_USERNAME || null;
 const PCLOUD_PASSWORD = process.env.PCLOUD_PASSWORD || null;
 
-// Кэш токена в памяти процесса
-let cachedAuth = STATIC_AUTH || null;
-let isLoggingIn = false;
+// Ретраи временных ошибок (сеть, HTTP 5xx/429, коды pCloud из TRANSIENT_RESULTS).
+// Изменяющие методы (sharefolder, renamefolder, ...) после сбоя с неясным исходом не повторяем,
+// только если запрос заведомо не выполнен: 429 или нет соединения
+const MAX_RETRIES = Number(process.env.PCLOUD_MAX_RETRIES ?? 3);
+const RETRY_BASE_MS = Number(process.env.PCLOUD_RETRY_BASE_MS) || 500;
+// Сколько запросов к pCloud может выполняться одновременно
+const MAX_CONCURRENCY = Math.max(1, Number(process.env.PCLOUD_MAX_CONCURRENCY) || 4);
+
+// 5000/5002 — внутренняя ошибка pCloud, стоит повторить позже
+const TRANSIENT_RESULTS = new Set([5000, 5002]);
+// 4000 — слишком много попыток логина, имеет смысл только для userinfo
+const LOGIN_THROTTLED = 4000;
+
+// Методы только на чтение: их можно безопасно повторить при любом временном сбое
+const READ_ONLY_METHODS = new Set(['listfolder', 'listshares', 'userinfo', 'diff', 'getfolderpublink']);
+
+// Ошибки, при которых запрос точно не дошёл до pCloud
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
 
 // ========================================
 // ЛОГИРОВАНИЕ
 // ========================================
-function plog(level, ...args) {
-  const timestamp = new Date().toISOString();
-  const prefix = `[PCLOUD] [${level.padEnd(5)}] [${timestamp}]`;
-  console.log(prefix, ...args);
+const plog = createLogger('PCLOUD');
+
+const plogInfo = plog.info;
+const plogWarn = plog.warn;
+const plogError = plog.error;
+const plogDebug = plog.debug;
+
+// ========================================
+// TRANSPORT
+// ========================================
+
+/**
+ * Транспорт по умолчанию: GET с query-параметрами, с body — PUT (загрузка файла потоком).
+ * Возвращает { status, data }.
+ */
+async function axiosTransport(url, params, headers = {}, body = undefined) {
+  const response = body === undefined
+    ? await axios.get(url, { params, headers })
+    : await axios.put(url, body, { params, headers, maxBodyLength: Infinity, maxContentLength: Infinity });
+  return { status: response.status, data: response.data };
+}
+
+let transport = axiosTransport;
+
+/**
+ * Подменить транспорт (для тестов). Без аргумента — вернуть axios.
+ * transport(url, params, headers, body) должен вернуть { status, data } или бросить ошибку с err.response.status.
+ */
+export function setPcloudTransport(fn) {
+  transport = fn || axiosTransport;
+}
+
+// ========================================
+// КЛИЕНТЫ
+// ========================================
+
+// Состояние клиента по тенантам (см. tenants.js): у каждого аккаунта свой API-хост, кэш токена,
+// логин и слоты запросов, поэтому сброс токена или сбой одного тенанта не задевает остальных
+const clients = new Map();
+
+/**
+ * OAuth-токен один на процесс, им пользуется только основной аккаунт.
+ */
+function usesOAuth(client) {
+  return client.tenantId === 'default' && isOAuthConfigured();
 }
 
-const plogInfo = (...args) => plog('INFO', ...args);
-const plogWarn = (...args) => plog('WARN', ...args);
-const plogError = (...args) => plog('ERROR', ...args);
-const plogDebug = (...args) => plog('DEBUG', ...args);
+/**
+ * Клиент текущего тенанта. Основной аккаунт настраивается через PCLOUD_* в env.
+ */
+function currentClient() {
+  const tenantId = currentTenantId();
+  let client = clients.get(tenantId);
+  if (client) return client;
+
+  const config = currentTenant()?.pcloud || {
+    api: PCLOUD_API_OVERRIDE,
+    auth: STATIC_AUTH,
+    username: PCLOUD_USERNAME,
+    password: PCLOUD_PASSWORD,
+  };
+  client = {
+    tenantId,
+    apiOverride: config.api || null,
+    apiBase: (config.api || 'https://eapi.pcloud.com').replace(/\/$/, ''),
+    staticAuth: config.auth || null,
+    username: config.username || null,
+    password: config.password || null,
+    // Кэш токена; OAuth-токен передаётся заголовком Authorization: Bearer, а не параметром auth
+    cachedAuth: null,
+    bearerAuth: false,
+    // Текущий логин: параллельные запросы ждут его, а не логинятся заново
+    loginPromise: null,
+    activeRequests: 0,
+    waitingRequests: [],
+  };
+  client.cachedAuth = usesOAuth(client) ? null : client.staticAuth;
+  clients.set(tenantId, client);
+  return client;
+}
+
+// ========================================
+// CONCURRENCY / RETRY
+// ========================================
+
+/**
+ * Выполнить запрос, не превышая MAX_CONCURRENCY одновременных обращений к API аккаунта.
+ */
+async function withRequestSlot(client, fn) {
+  if (client.activeRequests >= MAX_CONCURRENCY) {
+    await new Promise((resolve) => client.waitingRequests.push(resolve));
+  } else {
+    client.activeRequests++;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // Слот передаётся следующему в очереди, счётчик не меняется
+    const next = client.waitingRequests.shift();
+    if (next) next();
+    else client.activeRequests--;
+  }
+}
+
+function backoffDelay(attempt) {
+  // экспоненциально с джиттером ±50%
+  const base = RETRY_BASE_MS * 2 ** (attempt - 1);
+  return Math.round(base / 2 + Math.random() * base);
+}
+
+/**
+ * Временная ли сетевая/HTTP-ошибка: нет ответа, 5xx или 429.
+ * Для изменяющих методов — только 429 и ошибки до установки соединения.
+ */
+function isTransientHttpError(err, method) {
+  const status = err.response?.status;
+  if (status === 429) return true;
+  if (!READ_ONLY_METHODS.has(method)) {
+    return !status && NOT_SENT_CODES.has(err.code);
+  }
+  return !status || status >= 500;
+}
+
+/**
+ * Временный ли код ответа pCloud для данного метода.
+ */
+function isTransientResult(result, method) {
+  if (result === LOGIN_THROTTLED) return method === 'userinfo';
+  return READ_ONLY_METHODS.has(method) && TRANSIENT_RESULTS.has(result);
+}
 
 // ========================================
 // АВТОРИЗАЦИЯ
@@ -37,53 +180,64 @@ const plogDebug = (...args) => plog('DEBUG', ...args);
 
 /**
  * Логин в pCloud по username/password через userinfo?getauth=1
- * и возврат auth-токена.
+ * и возврат auth-токена. Если пройдена OAuth-авторизация — берём сохранённый токен.
  */
-async function loginAndGetAuth() {
-  if (STATIC_AUTH) {
-    plogInfo('Using static auth token from PCLOUD_AUTH');
-    return STATIC_AUTH;
+async function loginAndGetAuth(client) {
+  if (usesOAuth(client)) {
+    const token = await loadOAuthToken();
+    if (token) {
+      useOAuthToken(client, token);
+      client.cachedAuth = token.accessToken;
+      return client.cachedAuth;
+    }
+    plogWarn('pCloud OAuth is configured but not authorized yet — open /oauth/pcloud/start');
+  }
+
+  if (client.staticAuth) {
+    plogInfo(client.tenantId === 'default' ? 'Using static auth token from PCLOUD_AUTH' : 'Using static auth token from tenant config');
+    return client.staticAuth;
   }
 
-  if (!PCLOUD_USERNAME || !PCLOUD_PASSWORD) {
+  if (!client.username || !client.password) {
     throw new Error(
-      'pCloud auth: ни PCLOUD_AUTH, ни пара PCLOUD_USERNAME/PCLOUD_PASSWORD не заданы'
+      'pCloud auth: нет ни OAuth-токена, ни PCLOUD_AUTH, ни пары PCLOUD_USERNAME/PCLOUD_PASSWORD'
     );
   }
 
-  // Простейшая защита от одновременного login из нескольких запросов
-  if (isLoggingIn) {
-    plogDebug('Login already in progress, waiting...');
-    await new Promise(resolve => setTimeout(resolve, 500));
-    if (cachedAuth) {
-      plogDebug('Auth token obtained from parallel login');
-      return cachedAuth;
-    }
+  // Single-flight: все одновременные запросы получают результат одного логина
+  if (client.loginPromise) {
+    plogDebug('Login already in progress, waiting for it...');
+    return client.loginPromise;
   }
 
-  isLoggingIn = true;
+  client.loginPromise = doLogin(client).finally(() => {
+    client.loginPromise = null;
+  });
+  return client.loginPromise;
+}
+
+async function doLogin(client) {
   plogInfo('Attempting pCloud login...');
-  
+
   try {
-    const url = `${PCLOUD_API.replace(/\/$/, '')}/userinfo`;
-    
+    const url = `${client.apiBase}/userinfo`;
+
     const params = {
       getauth: 1,
-      username: PCLOUD_USERNAME,
-      password: PCLOUD_PASSWORD,
+      username: client.username,
+      password: client.password,
       device: 'ws-pcloud-bridge',
     };
 
-    plogDebug('Login request:', { 
-      url, 
-      username: PCLOUD_USERNAME,
+    plogDebug('Login request:', {
+      url,
+      username: client.username,
       password: '***MASKED***'
     });
 
-    const response = await axios.get(url, { params });
+    const response = await withRequestSlot(client, () => transport(url, params));
 
     plogDebug('Login response status:', response.status);
-    plogDebug('Login response data:', JSON.stringify(response.data));
 
     const data = response.data;
 
@@ -98,11 +252,10 @@ async function loginAndGetAuth() {
       );
     }
 
-    cachedAuth = data.auth;
+    client.cachedAuth = data.auth;
     plogInfo('Login successful, auth token cached');
-    plogDebug('Auth token:', cachedAuth.substring(0, 10) + '...');
-    
-    return cachedAuth;
+
+    return client.cachedAuth;
   } catch (err) {
     plogError('Login exception:', err.message);
     if (err.response) {
@@ -110,20 +263,90 @@ async function loginAndGetAuth() {
       plogError('Response data:', JSON.stringify(err.response.data));
     }
     throw err;
-  } finally {
-    isLoggingIn = false;
   }
 }
 
+/**
+ * Переключить клиент на OAuth-токен: Bearer-авторизация и API-хост аккаунта (US/EU).
+ */
+function useOAuthToken(client, token) {
+  client.bearerAuth = true;
+  if (token.apiHost && !client.apiOverride) {
+    client.apiBase = `https://${token.apiHost}`;
+  } else if (token.apiHost && !client.apiOverride.includes(token.apiHost)) {
+    plogWarn(`PCLOUD_API=${client.apiOverride} overrides the account API host ${token.apiHost} detected by OAuth`);
+  }
+  plogDebug(`Using pCloud OAuth token (userid ${token.userid ?? '?'}, API ${client.apiBase})`);
+}
+
+/**
+ * Сбросить токен в памяти (после новой OAuth-авторизации): следующий вызов возьмёт свежий.
+ */
+export function resetPcloudAuth() {
+  const client = currentClient();
+  client.cachedAuth = usesOAuth(client) ? null : client.staticAuth;
+  client.bearerAuth = false;
+}
+
+/**
+ * Обменять code из OAuth-редиректа на access_token (oauth2_token) на API-хосте аккаунта.
+ */
+export async function exchangeOAuthCode(code, apiHost) {
+  const client = currentClient();
+  const base = client.apiOverride ? client.apiBase : `https://${apiHost || 'eapi.pcloud.com'}`;
+  plogInfo(`Exchanging OAuth code at ${base}`);
+
+  const response = await withRequestSlot(client, () => transport(`${base}/oauth2_token`, {
+    client_id: process.env.PCLOUD_CLIENT_ID,
+    client_secret: process.env.PCLOUD_CLIENT_SECRET,
+    code,
+  }));
+  const data = response.data;
+  pcloudCalls.inc({ method: 'oauth2_token', result: data?.result ?? 'unknown' });
+
+  if (data?.result !== 0 || !data.access_token) {
+    plogError('OAuth code exchange failed:', { result: data?.result, error: data?.error });
+    throw new Error(`pCloud OAuth token exchange failed: result=${data?.result}, error=${data?.error || 'unknown'}`);
+  }
+
+  return {
+    accessToken: data.access_token,
+    userid: data.userid ?? null,
+    locationid: data.locationid ?? null,
+  };
+}
+
+/**
+ * Токен в запрос: OAuth — заголовком Bearer, остальные — параметром auth.
+ */
+function withAuth(client, params, auth) {
+  return client.bearerAuth
+    ? { params: { ...params }, headers: { Authorization: `Bearer ${auth}` } }
+    : { params: { ...params, auth }, headers: {} };
+}
+
 /**
  * Получить актуальный auth-токен (из кэша или залогиниться).
  */
-async function getAuthToken() {
-  if (cachedAuth) {
+async function getAuthToken(client) {
+  if (client.cachedAuth) {
     plogDebug('Using cached auth token');
-    return cachedAuth;
+    return client.cachedAuth;
   }
-  return loginAndGetAuth();
+  return loginAndGetAuth(client);
+}
+
+/**
+ * Токен отвергнут pCloud: сбросить кэш и получить новый.
+ * Если другой запрос уже обновил токен, используем его, а не логинимся повторно.
+ */
+async function refreshAuthToken(client, rejectedAuth) {
+  if (client.cachedAuth && client.cachedAuth !== rejectedAuth) {
+    return client.cachedAuth;
+  }
+  client.cachedAuth = null;
+  if (!client.loginPromise) pcloudRelogins.inc();
+  return loginAndGetAuth(client);
 }
 
 // ========================================
@@ -133,44 +356,58 @@ async function getAuthToken() {
 /**
  * Универсальный вызов pCloud API (GET).
  * Если получили ошибку "логин нужен/логин не удался", пробуем залогиниться и повторить ОДИН раз.
+ * Временные ошибки (сеть, 5xx, 429, TRANSIENT_RESULTS) повторяются до MAX_RETRIES раз с backoff;
+ * изменяющие методы — только если запрос заведомо не выполнен (см. isTransientHttpError).
  */
 export async function pcloudCall(method, params = {}) {
-  const url = `${PCLOUD_API.replace(/\/$/, '')}/${method}`;
-
   plogDebug(`Calling pCloud method: ${method}`, params);
 
-  // 1. берём токен (логин, если нужно)
-  let auth = await getAuthToken();
+  // 1. берём токен (логин, если нужно); API-хост может смениться после загрузки OAuth-токена
+  const client = currentClient();
+  let auth = await getAuthToken(client);
+  const url = `${client.apiBase}/${method}`;
 
   let firstTry = true;
+  let retries = 0;
+
+  const retryLater = async (reason) => {
+    retries++;
+    const delay = backoffDelay(retries);
+    plogWarn(`${reason} — retry ${retries}/${MAX_RETRIES} in ${delay}ms`);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  };
 
   while (true) {
-    const finalParams = {
-      ...params,
-      auth,
-    };
+    const { params: finalParams, headers } = withAuth(client, params, auth);
 
-    plogDebug(`API call: ${method}`, { 
-      ...finalParams, 
-      auth: auth ? auth.substring(0, 10) + '...' : 'none' 
+    plogDebug(`API call: ${method}`, {
+      ...finalParams,
+      auth: client.bearerAuth ? 'bearer' : auth ? auth.substring(0, 10) + '...' : 'none'
     });
 
     let response;
     try {
-      response = await axios.get(url, { params: finalParams });
+      response = await withRequestSlot(client, () => transport(url, finalParams, headers));
       plogDebug(`API response status: ${response.status}`);
     } catch (err) {
       // сетевые/HTTP-ошибки
       const errorMsg = err.response?.status
         ? `HTTP ${err.response.status} ${JSON.stringify(err.response.data)}`
         : err.message;
-      
+      pcloudCalls.inc({ method, result: err.response?.status ? `http_${err.response.status}` : 'network_error' });
+
+      if (retries < MAX_RETRIES && isTransientHttpError(err, method)) {
+        await retryLater(`Network error calling ${method}: ${errorMsg}`);
+        continue;
+      }
+
       plogError(`Network error calling ${method}:`, errorMsg);
       throw new Error(`pCloud network error calling ${method}: ${errorMsg}`);
     }
 
     const data = response.data;
     plogDebug(`API response data for ${method}:`, JSON.stringify(data));
+    pcloudCalls.inc({ method, result: data?.result ?? 'unknown' });
 
     // всё ок
     if (data && data.result === 0) {
@@ -183,11 +420,16 @@ export async function pcloudCall(method, params = {}) {
       plogWarn(`Auth error (result=${data.result}), will retry after re-login`);
       // Сбрасываем токен и пробуем залогиниться заново
       firstTry = false;
-      cachedAuth = null;
-      auth = await loginAndGetAuth();
+      auth = await refreshAuthToken(client, auth);
       continue; // повторяем запрос ОДИН раз
     }
 
+    // Перегрузка / внутренняя ошибка pCloud — повторяем с паузой
+    if (retries < MAX_RETRIES && isTransientResult(data.result, method)) {
+      await retryLater(`pCloud busy calling ${method} (result=${data.result}, ${data.error || 'no message'})`);
+      continue;
+    }
+
     // Другие ошибки выкидываем наверх
     plogError(`API error calling ${method}:`, {
       result: data.result,
@@ -260,3 +502,307 @@ export async function shareFolder(path, mail, permissions = 7) {
     throw err;
   }
 }
+
+/**
+ * Расшарить папку по известному folderid (без лишнего listfolder).
+ */
+export async function shareFolderById(folderId, mail, permissions = 7) {
+  plogInfo(`Sharing folder ${folderId} with ${mail} (permissions: ${permissions})`);
+
+  try {
+    const result = await pcloudCall('sharefolder', {
+      folderid: folderId,
+      mail,
+      permissions,
+    });
+
+    plogInfo(`Folder ${folderId} shared successfully with ${mail}`);
+    return result;
+  } catch (err) {
+    plogError(`Failed to share folder ${folderId} with ${mail}:`, err.message);
+    throw err;
+  }
+}
+
+/**
+ * Переименовать и/или переместить папку по folderid.
+ * target: { toname } — новое имя в той же папке, { tofolderid, toname } — перенос в другую папку.
+ */
+export async function renameFolder(folderId, target) {
+  plogInfo(`Renaming folder ${folderId}:`, target);
+
+  try {
+    const result = await pcloudCall('renamefolder', {
+      folderid: folderId,
+      ...target,
+    });
+
+    plogInfo(`Folder ${folderId} renamed to ${result.metadata?.path || result.metadata?.name || '?'}`);
+    return result;
+  } catch (err) {
+    plogError(`Failed to rename folder ${folderId}:`, err.message);
+    throw err;
+  }
+}
+
+/**
+ * Удалить пустую папку по folderid (deletefolder). Непустую pCloud не удалит — вернёт ошибку.
+ */
+export async function deleteFolder(folderId) {
+  plogInfo(`Deleting empty folder ${folderId}`);
+
+  try {
+    return await pcloudCall('deletefolder', { folderid: folderId });
+  } catch (err) {
+    plogError(`Failed to delete folder ${folderId}:`, err.message);
+    throw err;
+  }
+}
+
+// ========================================
+// SHARE OPERATIONS
+// ========================================
+
+/**
+ * Список исходящих шар и ещё не принятых запросов на шаринг для папки.
+ * Возвращает [{ email, folderid, permissions, shareid?, sharerequestid?, pending }].
+ */
+export async function listFolderShares(folderId) {
+  plogDebug(`Listing shares for folder ${folderId}`);
+
+  const result = await pcloudCall('listshares', {});
+
+  const shares = (result.shares?.outgoing || [])
+    .filter((s) => s.folderid === folderId)
+    .map((s) => ({
+      email: s.tomail,
+      folderid: s.folderid,
+      permissions: s.permissions,
+      shareid: s.shareid,
+      pending: false,
+    }));
+
+  const requests = (result.requests?.outgoing || [])
+    .filter((r) => r.folderid === folderId)
+    .map((r) => ({
+      email: r.tomail,
+      folderid: r.folderid,
+      permissions: r.permissions,
+      sharerequestid: r.sharerequestid,
+      pending: true,
+    }));
+
+  plogDebug(`Folder ${folderId}: ${shares.length} active shares, ${requests.length} pending requests`);
+  return [...shares, ...requests];
+}
+
+/**
+ * Отозвать доступ: активную шару (removeshare) или непринятый запрос (cancelsharerequest).
+ */
+export async function removeFolderShare(share) {
+  plogInfo(`Removing share for ${share.email}`, {
+    shareid: share.shareid,
+    sharerequestid: share.sharerequestid,
+  });
+
+  try {
+    const result = share.pending
+      ? await pcloudCall('cancelsharerequest', { sharerequestid: share.sharerequestid })
+      : await pcloudCall('removeshare', { shareid: share.shareid });
+
+    plogInfo(`Share for ${share.email} removed`);
+    return result;
+  } catch (err) {
+    plogError(`Failed to remove share for ${share.email}:`, err.message);
+    throw err;
+  }
+}
+
+/**
+ * Изменить права существующей шары. Непринятый запрос нельзя изменить —
+ * он отменяется и отправляется заново с новыми правами.
+ */
+export async function changeFolderShare(share, permissions) {
+  plogInfo(`Changing share permissions for ${share.email}: ${share.permissions} → ${permissions}`);
+
+  try {
+    if (share.pending) {
+      await pcloudCall('cancelsharerequest', { sharerequestid: share.sharerequestid });
+      return await pcloudCall('sharefolder', {
+        folderid: share.folderid,
+        mail: share.email,
+        permissions,
+      });
+    }
+
+    return await pcloudCall('changeshare', { shareid: share.shareid, permissions });
+  } catch (err) {
+    plogError(`Failed to change share for ${share.email}:`, err.message);
+    throw err;
+  }
+}
+
+// ========================================
+// FILE OPERATIONS
+// ========================================
+
+/**
+ * Загрузить файл в папку потоком (uploadfile через PUT, без буферизации в памяти).
+ * body — Readable; size — длина в байтах, если известна (иначе chunked).
+ * Поток нельзя отправить повторно, поэтому ретраев нет: ошибка уходит наверх (очередь повторит задачу).
+ * Возвращает { metadata, checksums } — метаданные файла и контрольные суммы, посчитанные pCloud.
+ */
+export async function uploadFile(folderId, filename, body, { size = null } = {}) {
+  plogInfo(`Uploading ${filename} to folder ${folderId}${size ? ` (${size} bytes)` : ''}`);
+
+  const client = currentClient();
+  const auth = await getAuthToken(client);
+  const { params, headers } = withAuth(client, { folderid: folderId, filename, nopartial: 1, renameifexists: 1 }, auth);
+  headers['Content-Type'] = 'application/octet-stream';
+  if (size) headers['Content-Length'] = String(size);
+
+  let response;
+  try {
+    response = await withRequestSlot(client, () => transport(`${client.apiBase}/uploadfile`, params, headers, body));
+  } catch (err) {
+    const errorMsg = err.response?.status
+      ? `HTTP ${err.response.status} ${JSON.stringify(err.response.data)}`
+      : err.message;
+    pcloudCalls.inc({ method: 'uploadfile', result: err.response?.status ? `http_${err.response.status}` : 'network_error' });
+    plogError(`Network error uploading ${filename}:`, errorMsg);
+    throw new Error(`pCloud network error calling uploadfile: ${errorMsg}`);
+  }
+
+  const data = response.data;
+  pcloudCalls.inc({ method: 'uploadfile', result: data?.result ?? 'unknown' });
+
+  if (data?.result === 1000 || data?.result === 2000) {
+    // Следующая попытка пойдёт уже со свежим токеном
+    plogWarn(`Auth error (result=${data.result}) uploading ${filename}, refreshing token`);
+    await refreshAuthToken(client, auth);
+  }
+  if (data?.result !== 0) {
+    plogError(`Failed to upload ${filename}:`, { result: data?.result, error: data?.error });
+    throw new Error(`pCloud API error calling uploadfile: result=${data?.result}, error=${data?.error || 'unknown'}`);
+  }
+
+  const metadata = data.metadata?.[0] || null;
+  plogInfo(`File uploaded: ${metadata?.path || filename} (fileid: ${metadata?.fileid ?? '?'})`);
+  return { metadata, checksums: data.checksums?.[0] || {} };
+}
+
+/**
+ * Удалить файл по fileid.
+ */
+export async function deleteFile(fileId) {
+  plogInfo(`Deleting file ${fileId}`);
+
+  try {
+    return await pcloudCall('deletefile', { fileid: fileId });
+  } catch (err) {
+    plogError(`Failed to delete file ${fileId}:`, err.message);
+    throw err;
+  }
+}
+
+// ========================================
+// LINKS
+// ========================================
+
+/**
+ * Создать публичную ссылку на папку (getfolderpublink). Возвращает { link, code, linkid }.
+ */
+export async function getFolderPublink(folderId) {
+  plogInfo(`Creating public link for folder ${folderId}`);
+
+  try {
+    const result = await pcloudCall('getfolderpublink', { folderid: folderId });
+    plogInfo(`Public link for folder ${folderId}: ${result.link}`);
+    return {
+      link: result.link,
+      code: result.code,
+      linkid: result.linkid,
+    };
+  } catch (err) {
+    plogError(`Failed to create public link for folder ${folderId}:`, err.message);
+    throw err;
+  }
+}
+
+/**
+ * Создать публичную ссылку на файл (getfilepublink). Возвращает { link, code, linkid }.
+ */
+export async function getFilePublink(fileId) {
+  plogInfo(`Creating public link for file ${fileId}`);
+
+  try {
+    const result = await pcloudCall('getfilepublink', { fileid: fileId });
+    plogInfo(`Public link for file ${fileId}: ${result.link}`);
+    return {
+      link: result.link,
+      code: result.code,
+      linkid: result.linkid,
+    };
+  } catch (err) {
+    plogError(`Failed to create public link for file ${fileId}:`, err.message);
+    throw err;
+  }
+}
+
+/**
+ * Дерево папки целиком (listfolder с recursive=1). Возвращает metadata корня с contents.
+ */
+export async function listFolderTree(path) {
+  plogInfo(`Listing folder tree: ${path}`);
+
+  const result = await pcloudCall('listfolder', { path, recursive: 1, nofiles: 1 });
+  return result.metadata;
+}
+
+/**
+ * Имена подпапок (без рекурсии). Папки ещё нет (2005) — пустой список.
+ */
+export async function listSubfolderNames(path) {
+  plogDebug(`Listing subfolders: ${path}`);
+
+  try {
+    const result = await pcloudCall('listfolder', { path, nofiles: 1 });
+    return (result.metadata?.contents || []).filter((item) => item.isfolder).map((item) => item.name);
+  } catch (err) {
+    if (/result=2005\b/.test(err.message)) return [];
+    throw err;
+  }
+}
+
+// ========================================
+// ACCOUNT
+// ========================================
+
+/**
+ * Данные аккаунта (userinfo): квота и занятое место в байтах.
+ */
+export async function getUserInfo() {
+  const result = await pcloudCall('userinfo', {});
+
+  return {
+    email: result.email,
+    premium: !!result.premium,
+    quota: result.quota,
+    usedQuota: result.usedquota,
+  };
+}
+
+/**
+ * События файловой системы аккаунта после diffid (diff). Без diffid — только текущий diffid
+ * (last=0), чтобы начать отслеживание с «сейчас», а не со всей истории.
+ * Возвращает { diffid, entries: [{ event, diffid, time, metadata }] }.
+ */
+export async function getDiff({ diffid = null, limit = 1000 } = {}) {
+  const params = diffid !== null ? { diffid, limit } : { last: 0 };
+  const result = await pcloudCall('diff', params);
+
+  return {
+    diffid: result.diffid,
+    entries: Array.isArray(result.entries) ? result.entries : [],
+  };
+}
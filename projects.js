@@ -0,0 +1,71 @@
+// projects.js
+// Маппинг Worksection project ID → папки pCloud, состояние шаринга и время провижининга
+import { readJson, writeJson } from './store.js';
+import { currentTenantId } from './tenants.js';
+
+const PROJECTS_FILE = 'projects.json';
+
+// Кэш маппингов в памяти процесса по тенантам (источник правды — файл в каталоге данных тенанта)
+const cache = new Map();
+
+async function load() {
+  const tenantId = currentTenantId();
+  let projects = cache.get(tenantId);
+  if (!projects) {
+    projects = await readJson(PROJECTS_FILE, {});
+    cache.set(tenantId, projects);
+
+    // Старые записи хранили шары папки проекта в record.shares
+    for (const record of Object.values(projects)) {
+      if (record.shares && record.folders.project) {
+        record.folders.project.shares = record.shares;
+      }
+      delete record.shares;
+    }
+  }
+  return projects;
+}
+
+/**
+ * Получить запись по WS project ID (или null, если проект ещё не провижинился).
+ */
+export async function getProjectMapping(wsId) {
+  const all = await load();
+  return all[String(wsId)] || null;
+}
+
+export async function listProjectMappings() {
+  const all = await load();
+  return Object.values(all);
+}
+
+/**
+ * Сохранить запись целиком. updatedAt проставляется автоматически.
+ */
+export async function saveProjectMapping(record) {
+  const all = await load();
+  record.updatedAt = new Date().toISOString();
+  all[String(record.wsId)] = record;
+  await writeJson(PROJECTS_FILE, all);
+  return record;
+}
+
+/**
+ * Новая пустая запись для проекта.
+ * title — название в Worksection, name — имя папки в pCloud (после санитизации).
+ * folders: { [key]: { path, folderid, shares: { [email]: { status, permissions, ... } } } }
+ */
+export function createProjectMapping(wsId, name, projectPath, title = name) {
+  return {
+    wsId: String(wsId),
+    title,
+    name,
+    projectPath,
+    template: null,
+    previewDate: null,
+    folders: {},
+    provisionedAt: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+  };
+}
@@ -0,0 +1,78 @@
+// provision-runs.js
+// Отчёты о запусках провижининга: каждый шаг со статусом, folderid, длительностью и ошибкой
+import crypto from 'crypto';
+import { appendJsonLine, readJsonLines } from './store.js';
+
+const RUNS_FILE = 'provision-runs.jsonl';
+
+/**
+ * Новый отчёт о запуске. status: running → ok | partial (не все шары) | failed.
+ */
+export function createRunReport(wsId) {
+  return {
+    id: crypto.randomUUID(),
+    wsId: String(wsId),
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    steps: [],
+    cleanup: null,
+    error: null,
+  };
+}
+
+/**
+ * Выполнить шаг и записать его в отчёт. fn возвращает дополнительные поля шага
+ * (status, folderid…); ошибка записывается в шаг и пробрасывается дальше.
+ */
+export async function runStep(report, step, fn) {
+  const started = Date.now();
+  const entry = { ...step, status: 'running' };
+  report.steps.push(entry);
+
+  try {
+    Object.assign(entry, { status: 'ok' }, await fn());
+    return entry;
+  } catch (err) {
+    entry.status = 'failed';
+    entry.error = err.message;
+    throw err;
+  } finally {
+    entry.durationMs = Date.now() - started;
+  }
+}
+
+/**
+ * Шаг, который не выполнялся (например, папка уже есть в маппинге).
+ */
+export function skipStep(report, step) {
+  report.steps.push({ ...step, durationMs: 0 });
+}
+
+/**
+ * Завершить отчёт и сохранить его в provision-runs.jsonl.
+ */
+export async function finishRunReport(report, status, error = null) {
+  report.status = status;
+  report.error = error;
+  report.finishedAt = new Date().toISOString();
+  report.durationMs = Date.parse(report.finishedAt) - Date.parse(report.startedAt);
+
+  await appendJsonLine(RUNS_FILE, report);
+  return report;
+}
+
+/**
+ * Последние отчёты (новые первыми), опционально по одному проекту.
+ */
+export async function listProvisionRuns({ wsId = null, limit = 20 } = {}) {
+  const items = await readJsonLines(RUNS_FILE);
+  const filtered = wsId ? items.filter((r) => r.wsId === String(wsId)) : items;
+  return filtered.slice(-limit).reverse();
+}
+
+export async function getProvisionRun(id) {
+  const items = await readJsonLines(RUNS_FILE);
+  return items.find((r) => r.id === id) || null;
+}
@@ -0,0 +1,822 @@
+// provision.js
+// Провижининг папок проектов в pCloud: создание по шаблону, шаринг, переименование, архив
+import dotenv from 'dotenv';
+import { createLogger } from './logger.js';
+import {
+  ensureFolder,
+  shareFolderById,
+  renameFolder,
+  listFolderShares,
+  removeFolderShare,
+  changeFolderShare,
+  deleteFolder,
+  listSubfolderNames,
+} from './pcloud.js';
+import {
+  getProjectMapping,
+  saveProjectMapping,
+  createProjectMapping,
+  listProjectMappings,
+} from './projects.js';
+import { audit } from './audit.js';
+import {
+  PROJECT_FOLDER_KEY,
+  selectTemplate,
+  getTemplate,
+  buildTemplateVars,
+  renderTemplate,
+  selectTaskRule,
+  renderTaskFolders,
+} from './templates.js';
+import { loadShareRules, resolveShare } from './share-rules.js';
+import { resolveFolderName } from './folder-names.js';
+import { todayStr } from './dates.js';
+import { createRunReport, runStep, skipStep, finishRunReport } from './provision-runs.js';
+
+dotenv.config();
+
+// Корень проектов в pCloud и папка для архивных/удалённых проектов
+export const PROJECTS_ROOT = process.env.PCLOUD_PROJECTS_ROOT || '/WorksectionProjects';
+export const ARCHIVE_PATH = process.env.PCLOUD_ARCHIVE_PATH || `${PROJECTS_ROOT}/_Archive`;
+
+// Права шары по умолчанию (маска pCloud: 1=create, 2=modify, 4=delete), если шаблон их не задаёт
+export const DEFAULT_PERMISSIONS = process.env.PCLOUD_DEFAULT_PERMISSIONS ? Number(process.env.PCLOUD_DEFAULT_PERMISSIONS) : 7;
+
+// Метка (rule) шар, выданных вручную, а не по составу команды
+export const MANUAL_SHARE_RULE = 'manual';
+
+// Ключи папок задач в аудите и отчётах: task:<wsTaskId>
+const TASK_KEY_PREFIX = 'task:';
+
+// Удалять папки, созданные упавшим запуском провижининга (только пустые и только созданные этим запуском)
+const CLEANUP_ON_FAILURE = ['1', 'true'].includes(process.env.PROVISION_CLEANUP_ON_FAILURE);
+
+// ========================================
+// ЛОГИРОВАНИЕ
+// ========================================
+const log = createLogger('PROVISION');
+
+const logInfo = log.info;
+const logWarn = log.warn;
+const logError = log.error;
+const logDebug = log.debug;
+
+// ========================================
+// HELPERS
+// ========================================
+/**
+ * Участники проекта с email из ответа get_project (email нормализован).
+ */
+export function extractTeam(projectData) {
+  const users = Array.isArray(projectData.users) ? projectData.users : [];
+  return users
+    .filter((u) => !!u.email)
+    .map((u) => ({ ...u, email: u.email.trim().toLowerCase() }));
+}
+
+function parentPathOf(path) {
+  return path.slice(0, path.lastIndexOf('/')) || '/';
+}
+
+/**
+ * Функция проверки, занято ли имя папки в parentPath (без учёта регистра): другим проектом
+ * из маппингов или папкой, которая уже есть в pCloud (проекты до маппингов, папки, созданные руками).
+ * Иначе createfolderifnotexists молча отдал бы новому проекту чужую папку.
+ * ownName — текущая папка самого проекта в parentPath (при переименовании), она не считается занятой.
+ */
+async function nameTakenChecker(parentPath, wsId, ownName = null) {
+  const others = (await listProjectMappings())
+    .filter((r) => r.wsId !== String(wsId) && parentPathOf(r.projectPath) === parentPath)
+    .map((r) => r.name.toLowerCase());
+  const existing = (await listSubfolderNames(parentPath))
+    .map((name) => name.toLowerCase())
+    .filter((name) => name !== ownName?.toLowerCase());
+
+  return (name) => others.includes(name.toLowerCase()) || existing.includes(name.toLowerCase());
+}
+
+/**
+ * Шаблон, по которому проект был создан (или подходящий сейчас, если записи ещё нет).
+ */
+function resolveTemplate(record, projectData) {
+  if (record?.template) {
+    const tpl = getTemplate(record.template);
+    if (tpl) return tpl;
+    logWarn(`Template "${record.template}" no longer exists, selecting a new one`);
+  }
+  return selectTemplate(projectData);
+}
+
+/**
+ * Какие папки с какими правами шарить каждому участнику команды.
+ * Основной доступ определяют правила share-rules.json (если файла нет или правило
+ * не подошло — share шаблона на папку проекта), шары отдельных папок шаблона
+ * добавляются всем, кому доступ не запрещён правилом.
+ * Возвращает [{ key, email, permissions, rule }].
+ */
+function planShares(tpl, folderList, users) {
+  const rules = loadShareRules();
+  const plan = [];
+  const seen = new Set();
+
+  // Одна шара на пару папка+email: правило важнее шары из шаблона
+  const add = (share) => {
+    const id = `${share.key}\n${share.email}`;
+    if (seen.has(id)) return;
+    seen.add(id);
+    plan.push(share);
+  };
+
+  for (const user of users) {
+    const email = user.email;
+    const decision = rules ? resolveShare(user, rules) : null;
+
+    if (decision?.deny) {
+      logInfo(`Share rule "${decision.rule}" denies access for ${email}`);
+      continue;
+    }
+
+    if (decision) {
+      add({ key: decision.folder, email, permissions: decision.permissions, rule: decision.rule });
+    } else if (tpl.share) {
+      add({ key: PROJECT_FOLDER_KEY, email, permissions: tpl.share.permissions ?? DEFAULT_PERMISSIONS, rule: null });
+    }
+
+    for (const folder of folderList) {
+      if (!folder.share) continue;
+      add({ key: folder.key, email, permissions: folder.share.permissions ?? DEFAULT_PERMISSIONS, rule: null });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Оставить в плане только папки, которые есть в маппинге.
+ */
+function filterPlanByFolders(plan, record) {
+  return plan.filter((s) => {
+    if (record.folders[s.key]?.folderid) return true;
+    logWarn(`Share target folder "${s.key}" for ${s.email} is not part of project ${record.wsId}, skipping`);
+    return false;
+  });
+}
+
+/**
+ * Папка из маппинга по ключу: папки проекта в record.folders, папки задач (task:<id>) — в record.tasks.
+ */
+function folderEntry(record, key) {
+  return key.startsWith(TASK_KEY_PREFIX) ? record.tasks?.[key.slice(TASK_KEY_PREFIX.length)] : record.folders[key];
+}
+
+/**
+ * Расшарить папку из маппинга и записать результат в маппинг и аудит. Ошибку не бросает.
+ */
+async function applyShare(record, { key, email, permissions, rule }, source) {
+  const folder = folderEntry(record, key);
+  folder.shares = folder.shares || {};
+
+  try {
+    logDebug(`Sharing ${key} with ${email}...`);
+    await shareFolderById(folder.folderid, email, permissions);
+    folder.shares[email] = {
+      status: 'shared',
+      permissions,
+      rule,
+      sharedAt: new Date().toISOString(),
+    };
+    await audit({ type: 'share.add', wsId: record.wsId, folder: key, email, permissions, rule, result: 'ok', source });
+    logInfo(`Folder ${key} shared with ${email}`);
+    return true;
+  } catch (err) {
+    logError(`Failed to share ${key} with ${email}:`, err.message);
+    folder.shares[email] = {
+      status: 'failed',
+      permissions,
+      rule,
+      error: err.message,
+      failedAt: new Date().toISOString(),
+    };
+    await audit({ type: 'share.add', wsId: record.wsId, folder: key, email, permissions, rule, result: 'failed', error: err.message, source });
+    return false;
+  }
+}
+
+// ========================================
+// PROVISIONING
+// ========================================
+
+/**
+ * Откатить упавший запуск: удалить (в обратном порядке) пустые папки, созданные этим запуском,
+ * и убрать их из маппинга. Корень проектов не трогаем.
+ */
+async function cleanupCreatedFolders(record, report) {
+  const created = report.steps.filter((s) => s.kind === 'folder' && s.status === 'created' && s.key !== 'root');
+  const cleanup = [];
+
+  for (const step of created.reverse()) {
+    try {
+      await deleteFolder(step.folderid);
+      delete record.folders[step.key];
+      cleanup.push({ key: step.key, path: step.path, folderid: step.folderid, status: 'deleted' });
+    } catch (err) {
+      logWarn(`Cleanup: could not delete ${step.path}:`, err.message);
+      cleanup.push({ key: step.key, path: step.path, folderid: step.folderid, status: 'failed', error: err.message });
+    }
+  }
+
+  await saveProjectMapping(record);
+  logInfo(`Cleanup after failed provisioning of project ${record.wsId}: ${cleanup.filter((c) => c.status === 'deleted').length} of ${cleanup.length} folders removed`);
+  return cleanup;
+}
+
+/**
+ * Создать структуру папок проекта по шаблону и расшарить её команде.
+ * Идемпотентно: шаги, уже записанные в маппинге проекта, пропускаются,
+ * поэтому повторная доставка события либо ничего не делает, либо докатывает недостающее.
+ * Каждый запуск пишет отчёт (provision-runs.js): ошибка шары — статус partial,
+ * ошибка создания папки — failed, отчёт сохраняется, ошибка пробрасывается (err.provisionReport).
+ */
+export async function createProjectFolders(projectId, projectName, projectData = {}) {
+  logInfo(`Creating pCloud folders for project "${projectName}" (wsId=${projectId})...`);
+
+  const rootPath = PROJECTS_ROOT;
+  const report = createRunReport(projectId);
+
+  let record = await getProjectMapping(projectId);
+  if (record) {
+    logInfo(`Project ${projectId} already known (provisionedAt=${record.provisionedAt}), resuming missing steps`);
+  } else {
+    const isTaken = await nameTakenChecker(rootPath, projectId);
+    const folderName = resolveFolderName(projectName, projectId, isTaken);
+    if (folderName !== projectName) {
+      logInfo(`Project folder name sanitized: "${projectName}" → "${folderName}"`);
+    }
+    record = createProjectMapping(projectId, folderName, `${rootPath}/${folderName}`, projectName);
+  }
+
+  const projectPath = record.projectPath;
+
+  const tpl = resolveTemplate(record, projectData);
+  record.template = tpl.name;
+
+  // Дата для {date} фиксируется при первом провижининге, чтобы повтор не создавал вторую папку
+  if (!record.previewDate) {
+    record.previewDate = todayStr();
+  }
+
+  const vars = buildTemplateVars(tpl, {
+    wsId: projectId,
+    projectName: record.name,
+    date: record.previewDate,
+    projectData,
+  });
+  const templateFolders = renderTemplate(tpl, projectPath, vars);
+
+  logInfo(`Using folder template "${tpl.name}" (${templateFolders.length} folders)`);
+
+  const folderSteps = [
+    { key: 'root', path: rootPath },
+    { key: PROJECT_FOLDER_KEY, path: projectPath },
+    ...templateFolders,
+  ];
+
+  try {
+    // Создаём папки последовательно
+    for (const step of folderSteps) {
+      const reportStep = { kind: 'folder', key: step.key, path: step.path };
+
+      if (record.folders[step.key]?.folderid) {
+        logDebug(`Folder ${step.key} already exists, skipping:`, step.path);
+        skipStep(report, { ...reportStep, status: 'exists', folderid: record.folders[step.key].folderid });
+        continue;
+      }
+
+      logDebug(`Creating ${step.key} folder:`, step.path);
+      await runStep(report, reportStep, async () => {
+        const result = await ensureFolder(step.path);
+        logDebug(`${step.key} folder result:`, JSON.stringify(result));
+
+        record.folders[step.key] = {
+          path: step.path,
+          folderid: result.metadata?.folderid ?? null,
+          shares: {},
+        };
+        await saveProjectMapping(record);
+
+        // created=false — папка уже была в pCloud (например, создана вручную), откатывать её нельзя
+        return { status: result.created === false ? 'exists' : 'created', folderid: record.folders[step.key].folderid };
+      });
+    }
+
+    if (!record.provisionedAt) {
+      record.provisionedAt = new Date().toISOString();
+      await saveProjectMapping(record);
+    }
+
+    logInfo('All folders created successfully');
+
+    // Шарим папки по правилам и шаблону
+    const plan = filterPlanByFolders(planShares(tpl, templateFolders, extractTeam(projectData)), record);
+    if (plan.length > 0) {
+      const pending = plan.filter((s) => record.folders[s.key].shares?.[s.email]?.status !== 'shared');
+      logInfo(`Sharing folders: ${pending.length} of ${plan.length} shares pending...`);
+
+      for (const share of pending) {
+        const reportStep = { kind: 'share', key: share.key, email: share.email, permissions: share.permissions, rule: share.rule };
+        try {
+          await runStep(report, reportStep, async () => {
+            const ok = await applyShare(record, share, 'provision');
+            if (!ok) throw new Error(record.folders[share.key].shares[share.email].error);
+            return { status: 'shared', folderid: record.folders[share.key].folderid };
+          });
+        } catch {
+          // Ошибка уже в маппинге, аудите и отчёте — продолжаем с остальными
+        }
+        await saveProjectMapping(record);
+      }
+    } else {
+      logWarn('No shares to create (no team emails or nothing to share)');
+    }
+
+    const failedShares = report.steps.filter((s) => s.kind === 'share' && s.status === 'failed').length;
+    await finishRunReport(report, failedShares > 0 ? 'partial' : 'ok', failedShares > 0 ? `${failedShares} share(s) failed` : null);
+    await recordLastRun(record, report);
+
+    return {
+      rootPath,
+      projectPath,
+      template: tpl.name,
+      folders: Object.fromEntries(folderSteps.map((f) => [f.key, f.path])),
+      report,
+    };
+  } catch (err) {
+    logError('Error creating pCloud folders:', err.message);
+    logError('Error details:', err.stack);
+
+    if (CLEANUP_ON_FAILURE) {
+      report.cleanup = await cleanupCreatedFolders(record, report);
+    }
+    await finishRunReport(report, 'failed', err.message);
+    await recordLastRun(record, report);
+
+    err.provisionReport = report;
+    throw err;
+  }
+}
+
+/**
+ * Краткий итог последнего запуска в маппинге (для дашборда).
+ */
+async function recordLastRun(record, report) {
+  record.lastRun = { id: report.id, status: report.status, finishedAt: report.finishedAt, error: report.error };
+  await saveProjectMapping(record);
+}
+
+/**
+ * Обновить путь проекта и всех его папок в маппинге после переименования/переноса.
+ */
+function relocateProjectMapping(record, newProjectPath) {
+  const oldProjectPath = record.projectPath;
+  for (const [key, folder] of Object.entries(record.folders)) {
+    if (key === 'root') continue;
+    if (folder.path === oldProjectPath || folder.path.startsWith(`${oldProjectPath}/`)) {
+      folder.path = newProjectPath + folder.path.slice(oldProjectPath.length);
+    }
+  }
+  for (const task of Object.values(record.tasks || {})) {
+    if (task.path.startsWith(`${oldProjectPath}/`)) {
+      task.path = newProjectPath + task.path.slice(oldProjectPath.length);
+    }
+  }
+  record.projectPath = newProjectPath;
+}
+
+/**
+ * Переименовать папку проекта вслед за проектом в Worksection.
+ * Работает по folderid из маппинга, старый путь не нужен.
+ */
+export async function renameProjectFolder(projectId, newTitle) {
+  const record = await getProjectMapping(projectId);
+  if (!record?.folders.project?.folderid) {
+    logWarn(`Project ${projectId} has no pCloud folder mapping, nothing to rename`);
+    return null;
+  }
+
+  const parentPath = parentPathOf(record.projectPath);
+  const isTaken = await nameTakenChecker(parentPath, projectId, record.name);
+  const newName = resolveFolderName(newTitle, projectId, isTaken);
+
+  record.title = newTitle;
+
+  if (record.name === newName) {
+    logInfo(`Project ${projectId} folder already named "${newName}", skipping rename`);
+    await saveProjectMapping(record);
+    return record;
+  }
+
+  logInfo(`Renaming project ${projectId} folder: "${record.name}" → "${newName}"`);
+  await renameFolder(record.folders.project.folderid, { toname: newName });
+
+  relocateProjectMapping(record, `${parentPath}/${newName}`);
+  record.name = newName;
+  await saveProjectMapping(record);
+
+  return record;
+}
+
+/**
+ * Перенести папку проекта в ARCHIVE_PATH (архивирование или удаление проекта в Worksection).
+ */
+export async function archiveProjectFolder(projectId, reason) {
+  const record = await getProjectMapping(projectId);
+  if (!record?.folders.project?.folderid) {
+    logWarn(`Project ${projectId} has no pCloud folder mapping, nothing to archive`);
+    return null;
+  }
+
+  if (record.archivedAt) {
+    logInfo(`Project ${projectId} already archived at ${record.archivedAt}, skipping`);
+    return record;
+  }
+
+  logInfo(`Archiving project ${projectId} folder to ${ARCHIVE_PATH} (reason: ${reason})`);
+  const archiveResult = await ensureFolder(ARCHIVE_PATH);
+  const archiveFolderId = archiveResult.metadata?.folderid;
+  if (!archiveFolderId) {
+    throw new Error(`Cannot get folderid for archive path: ${ARCHIVE_PATH}`);
+  }
+
+  // В архиве тоже могут оказаться проекты с одинаковыми именами. Имя считаем от названия проекта:
+  // record.name может уже оканчиваться на _<wsId>, и суффикс повторно не добавится
+  const isTaken = await nameTakenChecker(ARCHIVE_PATH, projectId);
+  const baseName = resolveFolderName(record.title || record.name, projectId, isTaken);
+  // Занято и имя с суффиксом (например, в архиве осталась папка этого проекта с прошлого раза)
+  let archiveName = baseName;
+  for (let n = 2; isTaken(archiveName); n++) {
+    archiveName = `${baseName}_${n}`;
+  }
+
+  await renameFolder(record.folders.project.folderid, {
+    tofolderid: archiveFolderId,
+    toname: archiveName,
+  });
+
+  relocateProjectMapping(record, `${ARCHIVE_PATH}/${archiveName}`);
+  record.name = archiveName;
+  record.archivedAt = new Date().toISOString();
+  record.archiveReason = reason;
+  await saveProjectMapping(record);
+
+  return record;
+}
+
+// ========================================
+// SHARE SYNC
+// ========================================
+
+/**
+ * Расхождения между шарами в pCloud и тем, что положено команде по правилам и шаблону.
+ * Возвращает [{ key, toAdd: [plan], toRemove: [[email, share]], toChange: [[email, share, permissions]] }].
+ */
+export async function diffProjectShares(record, projectData = {}) {
+  const tpl = resolveTemplate(record, projectData);
+  const templateFolders = renderTemplate(
+    tpl,
+    record.projectPath,
+    buildTemplateVars(tpl, { wsId: record.wsId, projectName: record.name, date: record.previewDate, projectData })
+  );
+  const plan = filterPlanByFolders(planShares(tpl, templateFolders, extractTeam(projectData)), record);
+
+  // Проверяем все папки, которые должны быть расшарены или уже были расшарены раньше
+  const keys = new Set(plan.map((s) => s.key));
+  for (const [key, folder] of Object.entries(record.folders)) {
+    if (folder.shares && Object.keys(folder.shares).length > 0) keys.add(key);
+  }
+
+  const diff = [];
+
+  for (const key of keys) {
+    const folder = record.folders[key];
+    const currentShares = await listFolderShares(folder.folderid);
+    const wanted = new Map(plan.filter((s) => s.key === key).map((s) => [s.email, s]));
+    const existing = new Map(currentShares.map((s) => [s.email.toLowerCase(), s]));
+
+    diff.push({
+      key,
+      toAdd: [...wanted.values()].filter((s) => !existing.has(s.email)),
+      // Отзываем только то, что выдал сам бридж: чужие шары (сделанные в pCloud руками) не трогаем,
+      // шары, выданные вручную через админ API, синхронизация команды тоже не отзывает
+      toRemove: [...existing.entries()].filter(
+        ([email]) => !wanted.has(email) && folder.shares?.[email] && folder.shares[email].rule !== MANUAL_SHARE_RULE
+      ),
+      toChange: [...existing.entries()]
+        .filter(([email, share]) => wanted.has(email) && wanted.get(email).permissions !== share.permissions)
+        .map(([email, share]) => [email, share, wanted.get(email).permissions]),
+    });
+  }
+
+  return diff;
+}
+
+/**
+ * Синхронизировать шары папок проекта с текущей командой Worksection:
+ * новым участникам — sharefolder, ушедшим — removeshare/cancelsharerequest.
+ * addOnly — только выдать недостающие шары, ничего не отзывая (для бэкфилла).
+ * Ошибки по отдельным адресам не прерывают синхронизацию, всё пишется в аудит.
+ */
+export async function syncProjectShares(projectId, projectData = {}, { addOnly = false, source = 'sync' } = {}) {
+  const record = await getProjectMapping(projectId);
+  if (!record?.folders.project?.folderid) {
+    logWarn(`Project ${projectId} has no pCloud folder mapping, nothing to sync`);
+    return null;
+  }
+
+  if (record.archivedAt) {
+    logInfo(`Project ${projectId} is archived, skipping share sync`);
+    return null;
+  }
+
+  const diff = await diffProjectShares(record, projectData);
+  const summary = { added: [], removed: [], changed: [], failed: [] };
+
+  for (const { key, toAdd, toRemove: removeCandidates, toChange: changeCandidates } of diff) {
+    const folder = record.folders[key];
+    folder.shares = folder.shares || {};
+
+    const toRemove = addOnly ? [] : removeCandidates;
+    const toChange = addOnly ? [] : changeCandidates;
+
+    logInfo(`Share sync for project ${projectId}, folder ${key}: +${toAdd.length} / -${toRemove.length} / ~${toChange.length}`);
+
+    for (const share of toAdd) {
+      const ok = await applyShare(record, share, source);
+      if (ok) {
+        summary.added.push({ folder: key, email: share.email });
+      } else {
+        summary.failed.push({ folder: key, email: share.email, action: 'add', error: folder.shares[share.email].error });
+      }
+    }
+
+    for (const [email, share] of toRemove) {
+      try {
+        await removeFolderShare(share);
+        delete folder.shares[email];
+        summary.removed.push({ folder: key, email });
+        await audit({ type: 'share.remove', wsId: record.wsId, folder: key, email, permissions: share.permissions, result: 'ok', source });
+      } catch (err) {
+        logError(`Failed to remove share for ${email}:`, err.message);
+        summary.failed.push({ folder: key, email, action: 'remove', error: err.message });
+        await audit({ type: 'share.remove', wsId: record.wsId, folder: key, email, permissions: share.permissions, result: 'failed', error: err.message, source });
+      }
+    }
+
+    for (const [email, share, permissions] of toChange) {
+      try {
+        await changeFolderShare(share, permissions);
+        folder.shares[email] = {
+          ...folder.shares[email],
+          status: 'shared',
+          permissions,
+          changedAt: new Date().toISOString(),
+        };
+        summary.changed.push({ folder: key, email, permissions });
+        await audit({ type: 'share.change', wsId: record.wsId, folder: key, email, permissions, previous: share.permissions, result: 'ok', source });
+      } catch (err) {
+        logError(`Failed to change share for ${email}:`, err.message);
+        summary.failed.push({ folder: key, email, action: 'change', error: err.message });
+        await audit({ type: 'share.change', wsId: record.wsId, folder: key, email, permissions, previous: share.permissions, result: 'failed', error: err.message, source });
+      }
+    }
+  }
+
+  await saveProjectMapping(record);
+  return summary;
+}
+
+// ========================================
+// MANUAL SHARES
+// ========================================
+
+/**
+ * Расшарить папку проекта вручную (админ API). Такие шары помечаются rule=manual,
+ * и синхронизация команды их не отзывает.
+ * Возвращает { shared: [email], failed: [{ email, error }] }.
+ */
+export async function shareProjectFolder(projectId, emails, { folder = PROJECT_FOLDER_KEY, permissions = DEFAULT_PERMISSIONS, source = 'admin' } = {}) {
+  const record = await getProjectMapping(projectId);
+  if (!record?.folders[folder]?.folderid) {
+    throw new Error(`Folder "${folder}" is not provisioned for project ${projectId}`);
+  }
+
+  const summary = { shared: [], failed: [] };
+
+  for (const rawEmail of emails) {
+    const email = String(rawEmail).trim().toLowerCase();
+    const ok = await applyShare(record, { key: folder, email, permissions, rule: MANUAL_SHARE_RULE }, source);
+    if (ok) {
+      summary.shared.push(email);
+    } else {
+      summary.failed.push({ email, error: record.folders[folder].shares[email].error });
+    }
+  }
+
+  await saveProjectMapping(record);
+  return summary;
+}
+
+/**
+ * Отозвать доступ email к папкам проекта: ко всем или только к folder.
+ * Участник команды Worksection получит доступ снова при следующей синхронизации шар.
+ * Возвращает { removed: [folder], failed: [{ folder, error }] }.
+ */
+export async function unshareProjectFolder(projectId, email, { folder = null, source = 'admin' } = {}) {
+  const record = await getProjectMapping(projectId);
+  if (!record) {
+    throw new Error(`Project ${projectId} has no pCloud folder mapping`);
+  }
+
+  const target = email.trim().toLowerCase();
+  const keys = folder ? [folder] : Object.keys(record.folders).filter((key) => key !== 'root');
+  const summary = { removed: [], failed: [] };
+
+  for (const key of keys) {
+    const entry = record.folders[key];
+    if (!entry?.folderid) continue;
+
+    const share = (await listFolderShares(entry.folderid)).find((s) => s.email.toLowerCase() === target);
+    if (!share) continue;
+
+    try {
+      await removeFolderShare(share);
+      if (entry.shares) delete entry.shares[target];
+      summary.removed.push(key);
+      await audit({ type: 'share.remove', wsId: record.wsId, folder: key, email: target, permissions: share.permissions, result: 'ok', source });
+    } catch (err) {
+      logError(`Failed to remove share for ${target}:`, err.message);
+      summary.failed.push({ folder: key, error: err.message });
+      await audit({ type: 'share.remove', wsId: record.wsId, folder: key, email: target, permissions: share.permissions, result: 'failed', error: err.message, source });
+    }
+  }
+
+  await saveProjectMapping(record);
+  return summary;
+}
+
+// ========================================
+// TASK FOLDERS
+// ========================================
+
+/**
+ * Исполнитель и подписчики задачи с email (email нормализован, без повторов).
+ */
+export function extractTaskMembers(taskData) {
+  const subscribers = Array.isArray(taskData.subscribers) ? taskData.subscribers : [];
+  const seen = new Set();
+
+  return [taskData.user_to, ...subscribers]
+    .filter((u) => !!u?.email)
+    .map((u) => ({ ...u, email: u.email.trim().toLowerCase() }))
+    .filter((u) => !seen.has(u.email) && seen.add(u.email));
+}
+
+/**
+ * Права шары папки задачи с учётом правила шаринга проекта.
+ * null — не шарить: правило выдаёт доступ к другой папке (например, клиентам только Final_render).
+ * Маски pCloud пересекаются побитово: правило может только убрать права шаблона, но не добавить.
+ * Если права в шаблоне не заданы (permissions == null), действуют права правила или DEFAULT_PERMISSIONS.
+ */
+export function resolveTaskSharePermissions(permissions, decision, key) {
+  if (!decision) return permissions ?? DEFAULT_PERMISSIONS;
+  if (decision.folder !== PROJECT_FOLDER_KEY && decision.folder !== key) return null;
+  if (permissions == null) return decision.permissions ?? DEFAULT_PERMISSIONS;
+  return permissions & (decision.permissions ?? permissions);
+}
+
+/**
+ * Создать цепочку папок (промежуточные + последняя) и вернуть metadata последней.
+ */
+async function ensureFolderChain(paths) {
+  let metadata = null;
+  for (const path of paths) {
+    metadata = (await ensureFolder(path)).metadata;
+  }
+  if (!metadata?.folderid) {
+    throw new Error(`Cannot get folderid for ${paths[paths.length - 1]}`);
+  }
+  return metadata;
+}
+
+/**
+ * Папка задачи внутри папки проекта (по правилу tasks шаблона проекта) и шары исполнителю и подписчикам.
+ * Идемпотентно: созданная папка и выданные шары повторно не трогаются.
+ * Возвращает запись задачи из маппинга или null, если папка задаче не положена.
+ */
+export async function createTaskFolder(projectId, taskId, taskData = {}) {
+  const record = await getProjectMapping(projectId);
+  if (!record?.folders.project?.folderid) {
+    logWarn(`Project ${projectId} has no pCloud folder mapping, skipping folder for task ${taskId}`);
+    return null;
+  }
+  if (record.archivedAt) {
+    logInfo(`Project ${projectId} is archived, skipping folder for task ${taskId}`);
+    return null;
+  }
+
+  const tpl = resolveTemplate(record, {});
+  const rule = selectTaskRule(tpl, taskData);
+  if (!rule) {
+    logInfo(`Task ${taskId} does not match the task folder rule of template "${tpl.name}", skipping`);
+    return null;
+  }
+
+  const key = `${TASK_KEY_PREFIX}${taskId}`;
+  const title = taskData.name || taskData.title || `task_${taskId}`;
+  record.tasks = record.tasks || {};
+
+  if (!record.tasks[taskId]?.folderid) {
+    const paths = renderTaskFolders(rule.path, record.projectPath, { taskId, task: title });
+    logInfo(`Creating folder for task ${taskId} of project ${projectId}:`, paths[paths.length - 1]);
+    const metadata = await ensureFolderChain(paths);
+
+    record.tasks[taskId] = {
+      title,
+      path: paths[paths.length - 1],
+      folderid: metadata.folderid,
+      status: 'active',
+      shares: {},
+      createdAt: new Date().toISOString(),
+    };
+    await saveProjectMapping(record);
+  }
+
+  const task = record.tasks[taskId];
+  if (rule.share === null) return task;
+
+  // Правила шаринга проекта действуют и здесь: запрет или другая папка — без шары, права не повышаем
+  const rules = loadShareRules();
+  const permissions = rule.share?.permissions ?? null;
+
+  for (const user of extractTaskMembers(taskData)) {
+    if (task.shares[user.email]?.status === 'shared') continue;
+
+    const decision = rules ? resolveShare(user, rules) : null;
+    if (decision?.deny) {
+      logInfo(`Share rule "${decision.rule}" denies access to task ${taskId} for ${user.email}`);
+      continue;
+    }
+
+    const sharePermissions = resolveTaskSharePermissions(permissions, decision, key);
+    if (sharePermissions === null) {
+      logInfo(`Share rule "${decision.rule}" limits ${user.email} to folder "${decision.folder}", not sharing task ${taskId}`);
+      continue;
+    }
+
+    const share = {
+      key,
+      email: user.email,
+      permissions: sharePermissions,
+      rule: decision?.rule ?? null,
+    };
+    await applyShare(record, share, 'task');
+    await saveProjectMapping(record);
+  }
+
+  return task;
+}
+
+/**
+ * Закрытая задача: перенести её папку в tasks.donePath шаблона (если он задан).
+ */
+export async function closeTaskFolder(projectId, taskId) {
+  const record = await getProjectMapping(projectId);
+  const task = record?.tasks?.[taskId];
+  if (!task?.folderid) {
+    logInfo(`Task ${taskId} has no pCloud folder, nothing to close`);
+    return null;
+  }
+  if (task.status === 'done') {
+    logInfo(`Task ${taskId} folder already moved to done at ${task.closedAt}, skipping`);
+    return task;
+  }
+
+  const rule = resolveTemplate(record, {}).tasks;
+  if (!rule?.donePath) {
+    logInfo(`Template of project ${projectId} has no tasks.donePath, leaving task ${taskId} folder in place`);
+    return task;
+  }
+
+  const donePaths = renderTaskFolders(rule.donePath, record.projectPath);
+  const doneFolder = await ensureFolderChain(donePaths);
+  const name = task.path.split('/').pop();
+
+  logInfo(`Moving task ${taskId} folder to ${donePaths[donePaths.length - 1]}`);
+  await renameFolder(task.folderid, { tofolderid: doneFolder.folderid, toname: name });
+
+  task.path = `${donePaths[donePaths.length - 1]}/${name}`;
+  task.status = 'done';
+  task.closedAt = new Date().toISOString();
+  await saveProjectMapping(record);
+
+  return task;
+}
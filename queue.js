@@ -0,0 +1,303 @@
+// queue.js
+// Персистентная очередь вебхук-событий с ретраями и dead-letter хранилищем
+// Очередь общая для всех тенантов (лежит в DATA_DIR), задача тенанта обрабатывается в его контексте.
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { createLogger, runWithLogContext } from './logger.js';
+import { gauge } from './metrics.js';
+import { audit } from './audit.js';
+import { readJson, writeJson } from './store.js';
+import { getTenant, runWithTenant } from './tenants.js';
+
+dotenv.config();
+
+const QUEUE_FILE = 'queue.json';
+const DEAD_LETTER_FILE = 'dead-letter.json';
+
+const MAX_ATTEMPTS = Number(process.env.QUEUE_MAX_ATTEMPTS) || 5;
+const BACKOFF_BASE_MS = Number(process.env.QUEUE_BACKOFF_BASE_MS) || 5000;
+const BACKOFF_MAX_MS = Number(process.env.QUEUE_BACKOFF_MAX_MS) || 10 * 60 * 1000;
+const POLL_INTERVAL_MS = Number(process.env.QUEUE_POLL_INTERVAL_MS) || 1000;
+
+// Состояние очереди в памяти процесса (источник правды — файлы в DATA_DIR)
+let jobs = null;
+let deadLetters = null;
+// Загрузка с диска одна на процесс: параллельные первые вызовы ждут её, а не читают файлы заново
+let loadPromise = null;
+let workerTimer = null;
+let isProcessing = false;
+
+// ========================================
+// ЛОГИРОВАНИЕ
+// ========================================
+const qlog = createLogger('QUEUE');
+
+const qlogInfo = qlog.info;
+const qlogWarn = qlog.warn;
+const qlogError = qlog.error;
+const qlogDebug = qlog.debug;
+
+// ========================================
+// ХРАНИЛИЩЕ
+// ========================================
+function load() {
+  if (!loadPromise) {
+    loadPromise = loadFromDisk().catch((err) => {
+      loadPromise = null;
+      throw err;
+    });
+  }
+  return loadPromise;
+}
+
+async function loadFromDisk() {
+  jobs = await runWithTenant(null, () => readJson(QUEUE_FILE, []));
+  deadLetters = await runWithTenant(null, () => readJson(DEAD_LETTER_FILE, []));
+
+  // Задачи, которые были в работе при падении процесса, возвращаем в очередь
+  let recovered = 0;
+  for (const job of jobs) {
+    if (job.status === 'processing') {
+      job.status = 'pending';
+      recovered++;
+    }
+  }
+  if (recovered > 0) {
+    qlogWarn(`Recovered ${recovered} job(s) interrupted by restart`);
+    await persistJobs();
+  }
+
+  qlogInfo(`Queue loaded: ${jobs.length} pending, ${deadLetters.length} dead-lettered`);
+}
+
+// Файлы очереди всегда в основном DATA_DIR, даже если событие поставлено из контекста тенанта
+const persistJobs = () => runWithTenant(null, () => writeJson(QUEUE_FILE, jobs));
+const persistDeadLetters = () => runWithTenant(null, () => writeJson(DEAD_LETTER_FILE, deadLetters));
+
+/**
+ * Тенант задачи (null — основной аккаунт). Тенант, удалённый из конфига, — ошибка, а не основной аккаунт.
+ */
+function jobTenant(job) {
+  if (!job.tenant) return null;
+  const tenant = getTenant(job.tenant);
+  if (!tenant) {
+    throw new Error(`Unknown tenant "${job.tenant}" (not in TENANTS_FILE)`);
+  }
+  return tenant;
+}
+
+/**
+ * Задержка перед следующей попыткой: BASE * 2^(attempts-1), но не больше MAX.
+ */
+function backoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Сохранить событие в очередь. meta: { requestId, tenant }. Возвращает созданную задачу.
+ */
+export async function enqueueEvent(event, meta = {}) {
+  await load();
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    requestId: meta.requestId || null,
+    tenant: meta.tenant || null,
+    event,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  jobs.push(job);
+  await persistJobs();
+
+  qlogDebug(`Job ${job.id} enqueued (request ${job.requestId})`);
+  return job;
+}
+
+export async function listDeadLetters() {
+  await load();
+  return deadLetters;
+}
+
+export async function getDeadLetter(id) {
+  await load();
+  return deadLetters.find((j) => j.id === id) || null;
+}
+
+/**
+ * Вернуть задачу из dead-letter обратно в очередь со сброшенным счётчиком попыток.
+ * Очередь сохраняется раньше dead-letter: при падении между записями задача окажется в обоих файлах,
+ * и повторный replay только уберёт её копию из dead-letter, не ставя второй раз.
+ */
+export async function replayDeadLetter(id) {
+  await load();
+
+  const idx = deadLetters.findIndex((j) => j.id === id);
+  if (idx === -1) return null;
+
+  const queued = jobs.find((j) => j.id === id);
+  if (queued) {
+    deadLetters.splice(idx, 1);
+    await persistDeadLetters();
+    qlogWarn(`Job ${id} is already queued, removed its stale dead-letter copy`);
+    return queued;
+  }
+
+  const [job] = deadLetters.splice(idx, 1);
+  const now = new Date().toISOString();
+  Object.assign(job, {
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    updatedAt: now,
+  });
+  delete job.deadLetteredAt;
+
+  jobs.push(job);
+  await persistJobs();
+  await persistDeadLetters();
+
+  qlogInfo(`Job ${job.id} replayed from dead-letter`);
+  return job;
+}
+
+/**
+ * Размер очереди: pending — ждут обработки или повтора, processing — обрабатываются сейчас.
+ */
+export async function getQueueStats() {
+  await load();
+  const processing = jobs.filter((j) => j.status === 'processing').length;
+  return {
+    pending: jobs.length - processing,
+    processing,
+    deadLetters: deadLetters.length,
+  };
+}
+
+gauge('bridge_queue_depth', 'Jobs in the event queue (pending or retrying, processing) and in dead-letter', async () => {
+  const stats = await getQueueStats();
+  return [
+    { labels: { queue: 'pending' }, value: stats.pending },
+    { labels: { queue: 'processing' }, value: stats.processing },
+    { labels: { queue: 'dead_letter' }, value: stats.deadLetters },
+  ];
+});
+
+// ========================================
+// WORKER
+// ========================================
+
+/**
+ * Итог попытки обработки в аудит (для истории доставок в дашборде): job.done | job.retry | job.dead.
+ */
+async function auditJob(job, result, error = null) {
+  const event = job.event || {};
+  try {
+    // История доставок — в аудите тенанта
+    await runWithTenant(getTenant(job.tenant), () => audit({
+      type: `job.${result}`,
+      wsId: event.object?.id != null ? String(event.object.id) : null,
+      requestId: job.requestId,
+      jobId: job.id,
+      objType: event.object?.type || null,
+      action: event.action || null,
+      attempts: job.attempts,
+      error,
+    }));
+  } catch (err) {
+    qlogWarn(`Failed to audit job ${job.id}:`, err.message);
+  }
+}
+
+async function processJob(job, handler) {
+  job.status = 'processing';
+  job.attempts += 1;
+  job.updatedAt = new Date().toISOString();
+  await persistJobs();
+
+  qlogInfo(`Processing job ${job.id} (attempt ${job.attempts}/${MAX_ATTEMPTS})`);
+
+  try {
+    await runWithTenant(jobTenant(job), () => handler(job.event, job));
+    jobs = jobs.filter((j) => j.id !== job.id);
+    await persistJobs();
+    qlogInfo(`Job ${job.id} done`);
+    await auditJob(job, 'done');
+  } catch (err) {
+    job.lastError = err.message;
+    job.updatedAt = new Date().toISOString();
+
+    if (job.attempts >= MAX_ATTEMPTS) {
+      jobs = jobs.filter((j) => j.id !== job.id);
+      job.status = 'dead';
+      job.deadLetteredAt = job.updatedAt;
+      deadLetters.push(job);
+      await persistJobs();
+      await persistDeadLetters();
+      qlogError(`Job ${job.id} moved to dead-letter after ${job.attempts} attempts:`, err.message);
+      await auditJob(job, 'dead', err.message);
+      return;
+    }
+
+    const delay = backoffDelay(job.attempts);
+    job.status = 'pending';
+    job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    await persistJobs();
+    qlogWarn(`Job ${job.id} failed, retry in ${delay}ms:`, err.message);
+    await auditJob(job, 'retry', err.message);
+  }
+}
+
+async function tick(handler) {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    await load();
+    const now = Date.now();
+    // Обрабатываем по одной задаче за раз, в порядке поступления
+    const due = jobs.filter((j) => j.status === 'pending' && Date.parse(j.nextAttemptAt) <= now);
+    for (const job of due) {
+      // Все логи обработки (включая pCloud/Worksection) получают requestId исходного вебхука
+      await runWithLogContext({ requestId: job.requestId, jobId: job.id, ...(job.tenant && { tenant: job.tenant }) }, () => processJob(job, handler));
+    }
+  } catch (err) {
+    qlogError('Worker tick failed:', err.message);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Запустить воркер очереди. handler(event, job) должен бросать ошибку при неудаче.
+ */
+export async function startQueueWorker(handler) {
+  await load();
+  if (workerTimer) return;
+
+  qlogInfo('Queue worker started', {
+    maxAttempts: MAX_ATTEMPTS,
+    backoffBaseMs: BACKOFF_BASE_MS,
+    backoffMaxMs: BACKOFF_MAX_MS,
+    pollIntervalMs: POLL_INTERVAL_MS,
+  });
+
+  workerTimer = setInterval(() => tick(handler), POLL_INTERVAL_MS);
+}
+
+export function stopQueueWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
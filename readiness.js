@@ -0,0 +1,119 @@
+// readiness.js
+// Глубокая проверка готовности (GET /ready): pCloud userinfo и подписанный вызов Worksection
+// для основного аккаунта (если он настроен) и каждого тенанта
+//
+// READY_CACHE_TTL_MS — сколько держать результат проверки, чтобы частые пробы оркестратора
+//                      не нагружали API (по умолчанию 30 секунд)
+import dotenv from 'dotenv';
+import { getUserInfo } from './pcloud.js';
+import { wsCall } from './worksection.js';
+import { createLogger } from './logger.js';
+import { forEachTenant } from './tenants.js';
+
+dotenv.config();
+
+const CACHE_TTL_MS = Number(process.env.READY_CACHE_TTL_MS ?? 30 * 1000);
+
+const log = createLogger('READY');
+
+const logWarn = log.warn;
+const logDebug = log.debug;
+
+// ========================================
+// CHECKS
+// ========================================
+
+async function checkPcloud() {
+  const info = await getUserInfo();
+  return {
+    quota: info.quota,
+    usedQuota: info.usedQuota,
+    freeSpace: Math.max(0, info.quota - info.usedQuota),
+  };
+}
+
+async function checkWorksection() {
+  // Самый дешёвый подписанный вызов: проверяет WS_BASE_URL, ключ и подпись
+  await wsCall('get_users');
+  return {};
+}
+
+const CHECKS = {
+  pcloud: checkPcloud,
+  worksection: checkWorksection,
+};
+
+// ========================================
+// CACHE
+// ========================================
+
+// name → { result, expiresAt } и name → текущая проверка (параллельные запросы её ждут);
+// name — имя проверки, у тенанта с префиксом: studio-a/pcloud
+const cache = new Map();
+const inFlight = new Map();
+
+async function runCheck(name, fn) {
+  const started = Date.now();
+  try {
+    const details = await fn();
+    return { status: 'ok', latencyMs: Date.now() - started, checkedAt: new Date().toISOString(), ...details };
+  } catch (err) {
+    logWarn(`Readiness check ${name} failed:`, err.message);
+    return { status: 'error', latencyMs: Date.now() - started, checkedAt: new Date().toISOString(), error: err.message };
+  }
+}
+
+async function cachedCheck(name, fn) {
+  const cached = cache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { ...cached.result, cached: true };
+  }
+
+  if (!inFlight.has(name)) {
+    logDebug(`Running readiness check: ${name}`);
+    inFlight.set(
+      name,
+      runCheck(name, fn).then((result) => {
+        cache.set(name, { result, expiresAt: Date.now() + CACHE_TTL_MS });
+        inFlight.delete(name);
+        return result;
+      })
+    );
+  }
+
+  return { ...(await inFlight.get(name)), cached: false };
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Проверить зависимости. Возвращает { ready, checks: { pcloud, worksection, 'studio-a/pcloud', ... } };
+ * результаты берутся из кэша, пока не истёк READY_CACHE_TTL_MS.
+ */
+export async function checkReadiness() {
+  const checks = {};
+  // Бридж, обслуживающий только тенантов (без WS_BASE_URL), основной аккаунт не проверяет
+  await forEachTenant(async (tenant) => {
+    const names = Object.keys(CHECKS);
+    const prefix = tenant ? `${tenant.id}/` : '';
+    const results = await Promise.all(names.map((name) => cachedCheck(prefix + name, CHECKS[name])));
+    names.forEach((name, i) => {
+      checks[prefix + name] = results[i];
+    });
+  });
+
+  const results = Object.values(checks);
+  return {
+    ready: results.length > 0 && results.every((r) => r.status === 'ok'),
+    checks,
+  };
+}
+
+/**
+ * Сбросить кэш проверок (для тестов).
+ */
+export function resetReadinessCache() {
+  cache.clear();
+}
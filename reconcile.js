@@ -0,0 +1,319 @@
+// reconcile.js
+// Сверка проектов Worksection с папками в pCloud и бэкфилл для проектов, созданных до запуска хука
+//
+// Запуск:
+//   node reconcile.js            — то же, что --dry-run: только отчёт, ничего не меняет
+//   node reconcile.js --apply    — создать недостающие папки и выдать недостающие шары
+//   node reconcile.js --json     — отчёт в JSON на stdout (логи уходят в stderr)
+//   node reconcile.js --tenant=<id> — сверить аккаунты тенанта из TENANTS_FILE, а не основные из env
+//
+// Осиротевшие папки (в pCloud есть, проекта в Worksection нет) только попадают в отчёт — не удаляются.
+// Лишние шары тоже не отзываются: это делает синхронизация команды по событиям update.
+import dotenv from 'dotenv';
+import { createLogger, setLogOutput } from './logger.js';
+import { listFolderTree } from './pcloud.js';
+import { getProjects } from './worksection.js';
+import {
+  getProjectMapping,
+  listProjectMappings,
+  saveProjectMapping,
+  createProjectMapping,
+} from './projects.js';
+import {
+  PROJECTS_ROOT,
+  ARCHIVE_PATH,
+  createProjectFolders,
+  diffProjectShares,
+  syncProjectShares,
+} from './provision.js';
+import { publishProjectLinks } from './links.js';
+import { loadTemplates } from './templates.js';
+import { loadShareRules } from './share-rules.js';
+import { resolveFolderName, withProjectSuffix } from './folder-names.js';
+import { getTenant, runWithTenant } from './tenants.js';
+
+dotenv.config();
+
+// ========================================
+// ЛОГИРОВАНИЕ
+// ========================================
+const rlog = createLogger('RECONCILE');
+
+const rlogInfo = rlog.info;
+const rlogWarn = rlog.warn;
+const rlogError = rlog.error;
+
+// ========================================
+// HELPERS
+// ========================================
+function parseArgs(argv) {
+  const args = { apply: false, json: false, tenant: null };
+  for (const arg of argv) {
+    if (arg === '--apply') args.apply = true;
+    else if (arg.startsWith('--tenant=')) args.tenant = arg.slice('--tenant='.length);
+    else if (arg === '--dry-run') args.apply = false;
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+/**
+ * Все папки дерева pCloud: Map(путь в нижнем регистре → { path, folderid }).
+ */
+function flattenTree(metadata, parentPath, result = new Map()) {
+  const path = parentPath ? `${parentPath}/${metadata.name}` : metadata.path || PROJECTS_ROOT;
+  result.set(path.toLowerCase(), { path, folderid: metadata.folderid });
+
+  for (const item of metadata.contents || []) {
+    if (item.isfolder) flattenTree(item, path, result);
+  }
+  return result;
+}
+
+/**
+ * Архивный проект Worksection: папки ему не создаём.
+ */
+function isClosedProject(project) {
+  return ['archive', 'done', 'closed'].includes(project.status);
+}
+
+/**
+ * Пути, под которыми папка проекта без маппинга могла быть создана раньше (хуком или вручную).
+ */
+function candidatePaths(project) {
+  const name = resolveFolderName(project.name, project.id, () => false);
+  return [
+    `${PROJECTS_ROOT}/${name}`,
+    `${PROJECTS_ROOT}/${withProjectSuffix(name, project.id)}`,
+  ];
+}
+
+// ========================================
+// REPORT
+// ========================================
+
+/**
+ * Сравнить проекты Worksection (get_projects с extra=users,tags) с деревом PROJECTS_ROOT в pCloud.
+ * Возвращает отчёт: missingFolders, unmappedFolders, orphanedFolders, missingShares, errors.
+ */
+async function buildReconcileReport(projects) {
+  rlogInfo(`Comparing ${projects.length} Worksection projects with pCloud tree ${PROJECTS_ROOT}...`);
+
+  const tree = flattenTree(await listFolderTree(PROJECTS_ROOT));
+  const mappings = new Map((await listProjectMappings()).map((r) => [r.wsId, r]));
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    root: PROJECTS_ROOT,
+    projects: projects.length,
+    missingFolders: [],
+    unmappedFolders: [],
+    orphanedFolders: [],
+    missingShares: [],
+    errors: [],
+  };
+
+  // Папки верхнего уровня, которые принадлежат какому-либо проекту
+  const claimed = new Set([ARCHIVE_PATH.toLowerCase()]);
+
+  for (const project of projects) {
+    const wsId = String(project.id);
+    const record = mappings.get(wsId);
+
+    if (record) {
+      claimed.add(record.projectPath.toLowerCase());
+      if (record.archivedAt) continue;
+
+      const missing = Object.entries(record.folders)
+        .filter(([key, folder]) => key !== 'root' && !tree.has(folder.path.toLowerCase()))
+        .map(([key]) => key);
+
+      if (missing.length > 0) {
+        report.missingFolders.push({ wsId, title: project.name, path: record.projectPath, folders: missing });
+        continue;
+      }
+
+      try {
+        for (const { key, toAdd } of await diffProjectShares(record, project)) {
+          for (const share of toAdd) {
+            report.missingShares.push({
+              wsId,
+              folder: key,
+              email: share.email,
+              permissions: share.permissions,
+              rule: share.rule ?? null,
+            });
+          }
+        }
+      } catch (err) {
+        rlogError(`Project ${wsId}: failed to compare shares:`, err.message);
+        report.errors.push({ wsId, error: err.message });
+      }
+      continue;
+    }
+
+    const existing = candidatePaths(project).map((p) => tree.get(p.toLowerCase())).find(Boolean);
+    if (existing) {
+      claimed.add(existing.path.toLowerCase());
+      if (!isClosedProject(project)) {
+        report.unmappedFolders.push({ wsId, title: project.name, path: existing.path, folderid: existing.folderid });
+      }
+      continue;
+    }
+
+    if (!isClosedProject(project)) {
+      report.missingFolders.push({ wsId, title: project.name, path: candidatePaths(project)[0], folders: ['project'] });
+    }
+  }
+
+  // Маппинги проектов, которых уже нет в выборке Worksection, тоже занимают свои папки
+  for (const record of mappings.values()) {
+    claimed.add(record.projectPath.toLowerCase());
+  }
+
+  const rootDepth = PROJECTS_ROOT.split('/').length;
+  for (const [lower, folder] of tree) {
+    if (lower.split('/').length !== rootDepth + 1) continue;
+    if (!claimed.has(lower)) {
+      report.orphanedFolders.push({ path: folder.path, folderid: folder.folderid });
+    }
+  }
+
+  return report;
+}
+
+// ========================================
+// APPLY
+// ========================================
+
+/**
+ * Создать недостающие папки (или подхватить существующие без маппинга) и выдать недостающие шары.
+ * Возвращает { provisioned, shared, failed }.
+ */
+async function applyReconcileReport(report, projectList) {
+  const result = { provisioned: [], shared: [], failed: [] };
+  const projects = new Map(projectList.map((p) => [String(p.id), p]));
+
+  const toProvision = [...report.missingFolders, ...report.unmappedFolders];
+  for (const item of toProvision) {
+    const project = projects.get(item.wsId);
+    try {
+      const record = await getProjectMapping(item.wsId);
+      if (record && item.folders) {
+        // Удалённые в pCloud папки убираем из маппинга, чтобы провижининг создал их заново
+        for (const key of item.folders) delete record.folders[key];
+        await saveProjectMapping(record);
+      } else if (!record && !item.folders) {
+        // Папка уже есть, но без маппинга: привязываем проект к ней, а не создаём новую
+        const name = item.path.slice(item.path.lastIndexOf('/') + 1);
+        await saveProjectMapping(createProjectMapping(item.wsId, name, item.path, project.name));
+      }
+
+      const folders = await createProjectFolders(item.wsId, project.name, project);
+      await publishProjectLinks(item.wsId);
+      result.provisioned.push({ wsId: item.wsId, path: folders.projectPath });
+    } catch (err) {
+      rlogError(`Project ${item.wsId}: provisioning failed:`, err.message);
+      result.failed.push({ wsId: item.wsId, action: 'provision', error: err.message });
+    }
+  }
+
+  const shareProjects = new Set(report.missingShares.map((s) => s.wsId));
+  for (const wsId of shareProjects) {
+    try {
+      const summary = await syncProjectShares(wsId, projects.get(wsId), { addOnly: true, source: 'reconcile' });
+      result.shared.push(...(summary?.added || []).map((s) => ({ wsId, ...s })));
+      result.failed.push(...(summary?.failed || []).map((s) => ({ wsId, ...s })));
+    } catch (err) {
+      rlogError(`Project ${wsId}: share backfill failed:`, err.message);
+      result.failed.push({ wsId, action: 'share', error: err.message });
+    }
+  }
+
+  return result;
+}
+
+// ========================================
+// CLI
+// ========================================
+function printReport(report) {
+  const out = (...args) => process.stdout.write(`${args.join(' ')}\n`);
+
+  out(`\nReconcile report for ${report.root} (${report.projects} Worksection projects)`);
+
+  out(`\nMissing folders: ${report.missingFolders.length}`);
+  for (const f of report.missingFolders) out(`  [${f.wsId}] ${f.title} → ${f.path} (${f.folders.join(', ')})`);
+
+  out(`\nExisting folders without mapping: ${report.unmappedFolders.length}`);
+  for (const f of report.unmappedFolders) out(`  [${f.wsId}] ${f.title} → ${f.path}`);
+
+  out(`\nOrphaned folders (no Worksection project): ${report.orphanedFolders.length}`);
+  for (const f of report.orphanedFolders) out(`  ${f.path}`);
+
+  out(`\nMissing shares: ${report.missingShares.length}`);
+  for (const s of report.missingShares) out(`  [${s.wsId}] ${s.folder}: ${s.email} (permissions=${s.permissions})`);
+
+  if (report.errors.length > 0) {
+    out(`\nErrors: ${report.errors.length}`);
+    for (const e of report.errors) out(`  [${e.wsId}] ${e.error}`);
+  }
+
+  if (report.applied) {
+    out(`\nApplied: provisioned ${report.applied.provisioned.length}, shared ${report.applied.shared.length}, failed ${report.applied.failed.length}`);
+    for (const f of report.applied.failed) out(`  [${f.wsId}] ${f.action}${f.email ? ` ${f.email}` : ''}: ${f.error}`);
+  } else {
+    out('\nDry run: nothing changed. Use --apply to create folders and shares.');
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    process.stdout.write('Usage: node reconcile.js [--dry-run | --apply] [--json] [--tenant=<id>]\n');
+    return 0;
+  }
+
+  // В JSON-режиме stdout только для отчёта: логи модулей переводим в stderr
+  if (args.json) {
+    setLogOutput(process.stderr);
+  }
+
+  loadTemplates();
+  loadShareRules();
+
+  const tenant = getTenant(args.tenant);
+  if (args.tenant && !tenant) {
+    throw new Error(`Unknown tenant: ${args.tenant}`);
+  }
+  return runWithTenant(tenant, () => reconcile(args));
+}
+
+async function reconcile(args) {
+  const projects = await getProjects({ extra: 'users,tags' });
+  const report = await buildReconcileReport(projects);
+  report.mode = args.apply ? 'apply' : 'dry-run';
+
+  if (args.apply) {
+    report.applied = await applyReconcileReport(report, projects);
+  }
+
+  if (args.json) {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    printReport(report);
+  }
+
+  const failed = report.errors.length + (report.applied?.failed.length || 0);
+  if (failed > 0) rlogWarn(`Reconcile finished with ${failed} error(s)`);
+  return failed > 0 ? 1 : 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    rlogError('Reconcile failed:', err.message);
+    process.exit(2);
+  });
@@ -0,0 +1,214 @@
+// scheduler.js
+// Ежедневное создание датированных папок (Preview/<дата>) для всех активных проектов
+//
+// PREVIEW_SCHEDULER     — 0/false, чтобы выключить (по умолчанию включён)
+// PREVIEW_SCHEDULE_TIME — время запуска HH:MM в STUDIO_TIMEZONE (по умолчанию 07:00)
+// PREVIEW_SKIP_WEEKENDS — 1/true, чтобы не создавать папки в субботу и воскресенье
+// PREVIEW_TRACK_DAYS    — сколько последних дат хранить в маппинге проекта (по умолчанию 30);
+//                         папки в pCloud остаются, но старые даты уже не отслеживает notifier.js
+//
+// Если часть проектов не удалась, день не считается выполненным: запуск повторяется раз в RETRY_INTERVAL_MS.
+//
+// Запуск идёт по очереди для основного аккаунта и каждого тенанта (tenants.js), у каждого своё состояние.
+import dotenv from 'dotenv';
+import { createLogger } from './logger.js';
+import { ensureFolder } from './pcloud.js';
+import { getProjects } from './worksection.js';
+import { getProjectMapping, saveProjectMapping } from './projects.js';
+import { getTemplate, buildTemplateVars, renderTemplate } from './templates.js';
+import { TIMEZONE, localDateParts } from './dates.js';
+import { readJson, writeJson } from './store.js';
+import { currentTenantId, forEachTenant } from './tenants.js';
+
+dotenv.config();
+
+const STATE_FILE = 'scheduler.json';
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+const ENABLED = !['0', 'false'].includes(process.env.PREVIEW_SCHEDULER);
+const SCHEDULE_TIME = process.env.PREVIEW_SCHEDULE_TIME || '07:00';
+const SKIP_WEEKENDS = ['1', 'true'].includes(process.env.PREVIEW_SKIP_WEEKENDS);
+const TRACK_DAYS = Number(process.env.PREVIEW_TRACK_DAYS) || 30;
+const RETRY_INTERVAL_MS = 15 * 60 * 1000;
+
+let timer = null;
+// Текущие запуски по тенантам: повторный вызов для того же тенанта присоединяется к запуску
+const running = new Map();
+
+// ========================================
+// ЛОГИРОВАНИЕ
+// ========================================
+const slog = createLogger('SCHED');
+
+const slogInfo = slog.info;
+const slogWarn = slog.warn;
+const slogError = slog.error;
+const slogDebug = slog.debug;
+
+// ========================================
+// DAILY FOLDERS
+// ========================================
+
+/**
+ * Создать датированные папки шаблона для одного проекта. Повтор за ту же дату — no-op.
+ * project — проект из ответа Worksection (id и теги для плейсхолдеров).
+ */
+export async function ensureDatedFolders(project, date) {
+  const record = await getProjectMapping(project.id);
+  if (!record) {
+    slogDebug(`Project ${project.id} is not provisioned yet, skipping`);
+    return 'not_provisioned';
+  }
+  if (record.archivedAt) {
+    return 'archived';
+  }
+  if (record.datedFolders?.[date]) {
+    return 'exists';
+  }
+
+  const tpl = getTemplate(record.template);
+  if (!tpl) {
+    slogWarn(`Project ${project.id}: template "${record.template}" not found, skipping`);
+    return 'no_template';
+  }
+
+  const vars = buildTemplateVars(tpl, { wsId: project.id, projectName: record.name, date, projectData: project });
+  const folders = renderTemplate(tpl, record.projectPath, vars).filter((f) => f.dated);
+  if (folders.length === 0) {
+    return 'no_dated_folders';
+  }
+
+  const created = [];
+  for (const folder of folders) {
+    const result = await ensureFolder(folder.path);
+    created.push({ key: folder.key, path: folder.path, folderid: result.metadata?.folderid ?? null });
+  }
+
+  record.datedFolders = record.datedFolders || {};
+  record.datedFolders[date] = created;
+  // Даты в формате YYYY-MM-DD: лексикографический порядок совпадает с хронологическим
+  for (const old of Object.keys(record.datedFolders).sort().slice(0, -TRACK_DAYS)) {
+    delete record.datedFolders[old];
+  }
+  await saveProjectMapping(record);
+
+  slogInfo(`Project ${project.id}: dated folders for ${date} ready`);
+  return 'created';
+}
+
+/**
+ * Пройти по активным проектам Worksection и создать папки на дату.
+ * Возвращает сводку { date, total, created, skipped, failed: [{ id, error }] }.
+ */
+export async function runDailyFolders({ date } = {}) {
+  const tenantId = currentTenantId();
+  if (running.has(tenantId)) {
+    slogWarn('Daily folders run already in progress, joining it');
+    return running.get(tenantId);
+  }
+
+  const targetDate = date || localDateParts(new Date(), TIMEZONE).date;
+
+  const run = (async () => {
+    slogInfo(`Creating dated folders for ${targetDate}...`);
+    const projects = await getProjects({ filter: 'active', extra: 'tags' });
+
+    const summary = { date: targetDate, total: projects.length, created: 0, skipped: 0, failed: [] };
+
+    for (const project of projects) {
+      try {
+        const status = await ensureDatedFolders(project, targetDate);
+        if (status === 'created') summary.created++;
+        else summary.skipped++;
+      } catch (err) {
+        slogError(`Project ${project.id}: failed to create dated folders:`, err.message);
+        summary.failed.push({ id: project.id, error: err.message });
+      }
+    }
+
+    slogInfo('Daily folders run finished:', summary);
+    return summary;
+  })();
+  running.set(tenantId, run);
+
+  try {
+    return await run;
+  } finally {
+    running.delete(tenantId);
+  }
+}
+
+// ========================================
+// SCHEDULE
+// ========================================
+async function runIfDue() {
+  const now = localDateParts(new Date(), TIMEZONE);
+  if (now.time < SCHEDULE_TIME) return;
+
+  const state = await readJson(STATE_FILE, {});
+  if (state.lastRunDate === now.date) return;
+  if (state.retryAt && Date.now() < Date.parse(state.retryAt)) return;
+
+  if (SKIP_WEEKENDS && (now.weekday === 'Sat' || now.weekday === 'Sun')) {
+    slogInfo(`Skipping dated folders on weekend (${now.date})`);
+    await writeJson(STATE_FILE, { ...state, lastRunDate: now.date, lastSkipped: true });
+    return;
+  }
+
+  try {
+    const summary = await runDailyFolders({ date: now.date });
+    if (summary.failed.length === 0) {
+      await writeJson(STATE_FILE, { lastRunDate: now.date, lastSummary: summary });
+      return;
+    }
+    // Готовые проекты при повторе пропустятся (datedFolders), пройдут только упавшие
+    const retryAt = new Date(Date.now() + RETRY_INTERVAL_MS).toISOString();
+    slogWarn(`${summary.failed.length} project(s) failed, retrying dated folders at ${retryAt}`);
+    await writeJson(STATE_FILE, { ...state, lastSummary: summary, retryAt });
+  } catch (err) {
+    // Не записываем lastRunDate — повторим на следующей проверке
+    slogError('Daily folders run failed:', err.message);
+  }
+}
+
+async function tick() {
+  const results = await forEachTenant(() => runIfDue());
+  for (const [tenantId, { error }] of Object.entries(results)) {
+    if (error) slogError(`Scheduler tick failed (${tenantId}):`, error);
+  }
+}
+
+/**
+ * Запустить планировщик: проверка раз в минуту, запуск один раз в день после SCHEDULE_TIME.
+ * Если процесс стартовал позже SCHEDULE_TIME, сегодняшний запуск выполнится сразу.
+ */
+export function startScheduler() {
+  if (!ENABLED) {
+    slogInfo('Daily folders scheduler disabled (PREVIEW_SCHEDULER=0)');
+    return;
+  }
+  if (timer) return;
+
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(SCHEDULE_TIME)) {
+    slogError(`Invalid PREVIEW_SCHEDULE_TIME "${SCHEDULE_TIME}", scheduler not started`);
+    return;
+  }
+
+  slogInfo('Daily folders scheduler started', {
+    time: SCHEDULE_TIME,
+    timezone: TIMEZONE,
+    skipWeekends: SKIP_WEEKENDS,
+  });
+
+  timer = setInterval(() => {
+    tick().catch((err) => slogError('Scheduler tick failed:', err.message));
+  }, CHECK_INTERVAL_MS);
+  tick().catch((err) => slogError('Scheduler tick failed:', err.message));
+}
+
+export function stopScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -1,31 +1,94 @@
 // server.js
 import express from 'express';
-import dotenv from 'dotenv';
-import axios from 'axios';
 import crypto from 'crypto';
-import { pcloudCall, ensureFolder, shareFolder } from './pcloud.js';
+import dotenv from 'dotenv';
+import {
+  enqueueEvent,
+  startQueueWorker,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  getQueueStats,
+} from './queue.js';
+import { getProject, getTask, getComments } from './worksection.js';
+import { uploadAttachments } from './attachments.js';
+import { publishProjectLinks } from './links.js';
+import { startScheduler, runDailyFolders } from './scheduler.js';
+import { startNotifier } from './notifier.js';
+import { TIMEZONE } from './dates.js';
+import { getProjectMapping } from './projects.js';
+import { audit, listAudit } from './audit.js';
+import {
+  PROJECTS_ROOT,
+  ARCHIVE_PATH,
+  DEFAULT_PERMISSIONS,
+  createProjectFolders,
+  renameProjectFolder,
+  archiveProjectFolder,
+  syncProjectShares,
+  extractTeam,
+  createTaskFolder,
+  closeTaskFolder,
+} from './provision.js';
+import { loadTemplates } from './templates.js';
+import { loadShareRules } from './share-rules.js';
+import { DEFAULT_NAME_OPTIONS } from './folder-names.js';
+import {
+  webhookAuthMiddleware,
+  assertWebhookAuthConfigured,
+  checkBasicCredentials,
+  safeEqual,
+  getAuthStats,
+} from './webhook-auth.js';
+import { createLogger, runWithLogContext } from './logger.js';
+import { renderMetrics, webhookRequests, webhookEvents } from './metrics.js';
+import { checkReadiness } from './readiness.js';
+import { createAdminRouter, hasAdminToken } from './admin-api.js';
+import { createDashboardRouter } from './dashboard.js';
+import { createPcloudOAuthRouter } from './pcloud-oauth.js';
+import { loadTenants, getTenant, runWithTenant } from './tenants.js';
+import { validateConfig, runConfigCheck } from './config.js';
 
 dotenv.config();
 
+// Самопроверка настроек без запуска сервера: node server.js --check-config [--live]
+if (process.argv.includes('--check-config')) {
+  process.exit(await runConfigCheck({ live: process.argv.includes('--live') }));
+}
+
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-// Парсим JSON-тело
-app.use(express.json());
+// За прокси (Render и т.п.) req.ip берётся из X-Forwarded-For — нужно для IP allowlist
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Парсим JSON-тело, сохраняя сырое тело для проверки HMAC-подписи
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
+
+// requestId для корреляции логов: из X-Request-Id (если он разумный) или новый
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.requestId = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomBytes(4).toString('hex');
+  res.set('X-Request-Id', req.requestId);
+  runWithLogContext({ requestId: req.requestId }, next);
+});
 
 // ========================================
 // УЛУЧШЕННОЕ ЛОГИРОВАНИЕ
 // ========================================
-function log(level, ...args) {
-  const timestamp = new Date().toISOString();
-  const prefix = `[${level.padEnd(5)}] [${timestamp}]`;
-  console.log(prefix, ...args);
-}
+const log = createLogger();
 
-const logInfo = (...args) => log('INFO', ...args);
-const logWarn = (...args) => log('WARN', ...args);
-const logError = (...args) => log('ERROR', ...args);
-const logDebug = (...args) => log('DEBUG', ...args);
+const logInfo = log.info;
+const logWarn = log.warn;
+const logError = log.error;
+const logDebug = log.debug;
 
 // ========================================
 // CONFIG CHECKS
@@ -33,179 +96,142 @@ const logDebug = (...args) => log('DEBUG', ...args);
 logInfo('=== Server Starting ===');
 logInfo('Environment variables check:');
 logInfo('- PORT:', PORT);
+logInfo('- LOG_LEVEL / LOG_FORMAT:', process.env.LOG_LEVEL || 'info (default)', '/', process.env.LOG_FORMAT || 'text (default)');
+logInfo('- LOG_FILE:', process.env.LOG_FILE || 'NOT SET');
+logInfo('- ADMIN_TOKEN:', process.env.ADMIN_TOKEN ? 'SET (hidden)' : 'NOT SET (admin project API disabled)');
+logInfo('- METRICS_TOKEN:', process.env.METRICS_TOKEN ? 'SET (hidden)' : 'NOT SET (/metrics is open)');
 logInfo('- WS_BASE_URL:', process.env.WS_BASE_URL ? 'SET' : 'NOT SET');
 logInfo('- WS_ADMIN_TOKEN:', process.env.WS_ADMIN_TOKEN ? 'SET (hidden)' : 'NOT SET');
 logInfo('- PCLOUD_API:', process.env.PCLOUD_API || 'https://eapi.pcloud.com (default)');
 logInfo('- PCLOUD_AUTH:', process.env.PCLOUD_AUTH ? 'SET (hidden)' : 'NOT SET');
 logInfo('- PCLOUD_USERNAME:', process.env.PCLOUD_USERNAME ? 'SET' : 'NOT SET');
 logInfo('- PCLOUD_PASSWORD:', process.env.PCLOUD_PASSWORD ? 'SET (hidden)' : 'NOT SET');
+logInfo('- PCLOUD_CLIENT_ID / CLIENT_SECRET:', process.env.PCLOUD_CLIENT_ID ? 'SET' : 'NOT SET', '/', process.env.PCLOUD_CLIENT_SECRET ? 'SET (hidden)' : 'NOT SET');
+logInfo('- PCLOUD_TOKEN_KEY:', process.env.PCLOUD_TOKEN_KEY ? 'SET (hidden)' : 'NOT SET');
 logInfo('- WEBHOOK_USER:', process.env.WEBHOOK_USER ? 'SET' : 'NOT SET');
 logInfo('- WEBHOOK_PASS:', process.env.WEBHOOK_PASS ? 'SET (hidden)' : 'NOT SET');
-
-if (!process.env.WS_BASE_URL || !process.env.WS_ADMIN_TOKEN) {
-  logWarn('WS_BASE_URL / WS_ADMIN_TOKEN не заданы — Worksection API работать не будет');
+logInfo('- WEBHOOK_HMAC_SECRET:', process.env.WEBHOOK_HMAC_SECRET ? 'SET (hidden)' : 'NOT SET');
+logInfo('- WEBHOOK_SHARED_SECRET:', process.env.WEBHOOK_SHARED_SECRET ? 'SET (hidden)' : 'NOT SET');
+logInfo('- WEBHOOK_IP_ALLOWLIST:', process.env.WEBHOOK_IP_ALLOWLIST || 'NOT SET');
+logInfo('- WEBHOOK_AUTH_STRICT:', process.env.WEBHOOK_AUTH_STRICT || 'NOT SET');
+logInfo('- PCLOUD_PROJECTS_ROOT:', PROJECTS_ROOT);
+logInfo('- PCLOUD_ARCHIVE_PATH:', ARCHIVE_PATH);
+logInfo('- PCLOUD_DEFAULT_PERMISSIONS:', DEFAULT_PERMISSIONS);
+logInfo('- PROVISION_CLEANUP_ON_FAILURE:', process.env.PROVISION_CLEANUP_ON_FAILURE || 'NOT SET');
+logInfo('- FOLDER_TEMPLATES_FILE:', process.env.FOLDER_TEMPLATES_FILE || './folder-templates.json (default)');
+logInfo('- FOLDER_NAME_TRANSLIT / MAX_LENGTH / SUFFIX:', DEFAULT_NAME_OPTIONS);
+logInfo('- WS_LINKS_TARGET:', process.env.WS_LINKS_TARGET || 'project (default)');
+logInfo('- PCLOUD_LINK_MODE:', process.env.PCLOUD_LINK_MODE || 'web (default)');
+logInfo('- STUDIO_TIMEZONE:', TIMEZONE);
+logInfo('- PREVIEW_SCHEDULE_TIME:', process.env.PREVIEW_SCHEDULE_TIME || '07:00 (default)');
+logInfo('- PREVIEW_SKIP_WEEKENDS:', process.env.PREVIEW_SKIP_WEEKENDS || 'NOT SET');
+logInfo('- NOTIFY_POLLER:', process.env.NOTIFY_POLLER || 'NOT SET');
+logInfo('- NOTIFY_FOLDERS:', process.env.NOTIFY_FOLDERS || 'finalRender,previewBase,preview (default)');
+logInfo('- TENANTS_FILE:', process.env.TENANTS_FILE || './tenants.json (default)');
+
+// Ошибки в настройках — не стартуем: лучше упасть сразу, чем молча терять вебхуки
+const configReport = validateConfig();
+for (const w of configReport.warnings) logWarn(`Config: ${w.name}: ${w.message}`);
+if (configReport.errors.length > 0) {
+  for (const e of configReport.errors) logError(`Config: ${e.name}: ${e.message}`);
+  logError('Invalid configuration, exiting. Run `npm run check-config` for a full report');
+  process.exit(1);
 }
 
-if (!process.env.WEBHOOK_USER || !process.env.WEBHOOK_PASS) {
-  logWarn('WEBHOOK_USER / WEBHOOK_PASS не заданы, Basic Auth фактически выключен');
+try {
+  const templates = loadTemplates();
+  logInfo(`Folder templates loaded: ${templates.map((t) => t.name).join(', ')}`);
+} catch (err) {
+  logError(err.message);
 }
 
-// ========================================
-// BASIC AUTH ДЛЯ ВЕБХУКА
-// ========================================
-function checkBasicAuth(req) {
-  const user = process.env.WEBHOOK_USER;
-  const pass = process.env.WEBHOOK_PASS;
-
-  if (!user || !pass) {
-    logWarn('Basic Auth disabled (credentials not set)');
-    return true;
-  }
-
-  const auth = req.headers['authorization'];
-  if (!auth || !auth.startsWith('Basic ')) {
-    logWarn('Basic Auth failed: no Authorization header or wrong format');
-    return false;
-  }
+// Ошибка в конфиге тенантов — не стартуем: иначе вебхуки студий молча уйдут в 404
+try {
+  const tenants = loadTenants();
+  logInfo(tenants.length > 0 ? `Tenants loaded: ${tenants.map((t) => t.id).join(', ')}` : 'Tenants file not found, serving the env-configured account only');
+} catch (err) {
+  logError(err.message);
+  process.exit(1);
+}
 
-  const decoded = Buffer.from(auth.split(' ')[1] || '', 'base64').toString('utf8');
-  const [u, p] = decoded.split(':');
-  
-  if (u === user && p === pass) {
-    logDebug('Basic Auth OK');
-    return true;
-  } else {
-    logWarn('Basic Auth failed: wrong credentials');
-    return false;
-  }
+try {
+  const rules = loadShareRules();
+  logInfo(rules ? `Share rules loaded: ${rules.length} rule(s)` : 'Share rules file not found, using template share permissions');
+} catch (err) {
+  logError(err.message);
 }
 
 // ========================================
-// WORKSECTION API
+// АУТЕНТИФИКАЦИЯ ВЕБХУКА
 // ========================================
-async function fetchWorksectionProject(projectId) {
-  logDebug(`Fetching Worksection project ${projectId}...`);
-  
-  const baseUrl = process.env.WS_BASE_URL;
-  const apiKey = process.env.WS_ADMIN_TOKEN;
+try {
+  const { methods, strict } = assertWebhookAuthConfigured();
+  logInfo(`Webhook auth methods: ${methods.join(', ') || 'none'}${strict ? ' (strict)' : ''}`);
+} catch (err) {
+  logError(err.message);
+  process.exit(1);
+}
 
-  if (!baseUrl || !apiKey) {
-    throw new Error('WS_BASE_URL / WS_ADMIN_TOKEN не заданы');
+// Middleware для служебных эндпоинтов: ADMIN_TOKEN или (для совместимости) Basic-креды вебхука.
+// Без заданных кредов служебные эндпоинты закрыты.
+function requireAdminAuth(req, res, next) {
+  if (hasAdminToken(req)) {
+    next();
+    return;
   }
 
-  const paramsObj = {
-    action: 'get_project',
-    id_project: projectId,
-    extra: 'users',
-  };
-
-  const queryString = new URLSearchParams(paramsObj).toString();
-  const hash = crypto.createHash('md5').update(queryString + apiKey).digest('hex');
-
-  const finalParams = {
-    ...paramsObj,
-    hash,
-  };
-
-  const url = `${baseUrl.replace(/\/$/, '')}/api/admin/v2/`;
-  
-  logDebug('WS API request:', { url, params: { ...finalParams, hash: 'hidden' } });
+  const user = process.env.WEBHOOK_USER;
+  const pass = process.env.WEBHOOK_PASS;
 
-  let response;
-  try {
-    response = await axios.get(url, { params: finalParams });
-    logDebug('WS API response status:', response.status);
-  } catch (err) {
-    const errorDetails = {
-      message: err.message,
-      status: err.response?.status,
-      data: err.response?.data,
-    };
-    logError('WS API request failed:', JSON.stringify(errorDetails));
-    throw new Error(`Worksection get_project error for id=${projectId}: ${JSON.stringify(errorDetails)}`);
+  if (!user || !pass || !checkBasicCredentials(req, user, pass)) {
+    // Браузер (дашборд) покажет окно логина
+    res.set('WWW-Authenticate', 'Basic realm="ws-pcloud-bridge", charset="UTF-8"');
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
   }
+  next();
+}
 
-  if (response.data.status !== 'ok') {
-    logError('WS API returned error:', response.data);
-    throw new Error(`Worksection get_project returned error: ${JSON.stringify(response.data)}`);
+/**
+ * Доступ к /metrics: без METRICS_TOKEN — открыт (для скрейпера во внутренней сети),
+ * с ним — только с заголовком Authorization: Bearer <METRICS_TOKEN>.
+ */
+function requireMetricsAuth(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) {
+    next();
+    return;
   }
 
-  logInfo(`WS project ${projectId} fetched successfully`);
-  return response.data;
+  const header = req.get('authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  if (!safeEqual(provided, token)) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+  next();
 }
 
-// ========================================
-// PCLOUD FOLDER OPERATIONS
-// ========================================
-async function createProjectFolders(projectName, emails) {
-  logInfo(`Creating pCloud folders for project "${projectName}"...`);
-  
-  const rootPath = '/WorksectionProjects';
-  const projectPath = `${rootPath}/${projectName}`;
-  
-  const today = new Date();
-  const yyyy = today.getFullYear();
-  const mm = String(today.getMonth() + 1).padStart(2, '0');
-  const dd = String(today.getDate()).padStart(2, '0');
-  const dateStr = `${yyyy}-${mm}-${dd}`;
-
-  const previewBasePath = `${projectPath}/Preview`;
-  const previewPath = `${previewBasePath}/${dateStr}`;
-  const finalRenderPath = `${projectPath}/Final_render`;
-
-  try {
-    // Создаём папки последовательно
-    logDebug('Creating root folder:', rootPath);
-    const rootResult = await ensureFolder(rootPath);
-    logDebug('Root folder result:', JSON.stringify(rootResult));
-
-    logDebug('Creating project folder:', projectPath);
-    const projectResult = await ensureFolder(projectPath);
-    logDebug('Project folder result:', JSON.stringify(projectResult));
-
-    logDebug('Creating preview base folder:', previewBasePath);
-    const previewBaseResult = await ensureFolder(previewBasePath);
-    logDebug('Preview base folder result:', JSON.stringify(previewBaseResult));
-
-    logDebug('Creating preview folder:', previewPath);
-    const previewResult = await ensureFolder(previewPath);
-    logDebug('Preview folder result:', JSON.stringify(previewResult));
-
-    logDebug('Creating final render folder:', finalRenderPath);
-    const finalResult = await ensureFolder(finalRenderPath);
-    logDebug('Final render folder result:', JSON.stringify(finalResult));
-
-    logInfo('All folders created successfully');
-
-    // Шарим главную папку проекта
-    if (emails && emails.length > 0) {
-      logInfo(`Sharing project folder with ${emails.length} users...`);
-      for (const email of emails) {
-        try {
-          logDebug(`Sharing with ${email}...`);
-          const shareResult = await shareFolder(projectPath, email, 7); // permissions: 7 = rwx
-          logDebug(`Share result for ${email}:`, JSON.stringify(shareResult));
-          logInfo(`Folder shared with ${email}`);
-        } catch (err) {
-          logError(`Failed to share with ${email}:`, err.message);
-        }
-      }
-    } else {
-      logWarn('No emails to share folder with');
+/**
+ * Обработать остаток запроса от имени тенанта (ID из getId); без ID — основной аккаунт, неизвестный — 404.
+ */
+function selectTenant(getId) {
+  return (req, res, next) => {
+    const id = getId(req);
+    if (!id) {
+      next();
+      return;
     }
 
-    return {
-      rootPath,
-      projectPath,
-      previewBasePath,
-      previewPath,
-      finalRenderPath,
-    };
-  } catch (err) {
-    logError('Error creating pCloud folders:', err.message);
-    logError('Error details:', err.stack);
-    throw err;
-  }
+    const tenant = getTenant(id);
+    if (!tenant) {
+      logWarn(`Request for unknown tenant "${id}": ${req.method} ${req.path}`);
+      res.status(404).json({ error: 'Unknown tenant' });
+      return;
+    }
+    req.tenant = tenant;
+    runWithTenant(tenant, next);
+  };
 }
 
 // ========================================
@@ -218,12 +244,37 @@ async function handleWebhookEvent(event) {
   logInfo('Processing webhook event:', { action, objType });
   logDebug('Full event data:', JSON.stringify(event));
 
-  // Нас интересует только создание проекта
-  if (!(action === 'post' && objType === 'project')) {
-    logInfo('Skipping event (not project creation)');
+  if (objType === 'task') {
+    return handleTaskEvent(event);
+  }
+  if (objType === 'comment') {
+    return handleCommentEvent(event);
+  }
+  if (objType === 'file') {
+    return handleFileEvent(event);
+  }
+
+  // Остальные события (пользователи, метки и т.п.) бриджу не нужны
+  if (objType !== 'project') {
+    logInfo(`Skipping event of unsupported object type "${objType}" (handled: project, task, comment, file)`);
     return;
   }
 
+  switch (action) {
+    case 'post':
+      return handleProjectCreated(event);
+    case 'update':
+      return handleProjectUpdated(event);
+    case 'close':
+    case 'archive':
+    case 'delete':
+      return handleProjectArchived(event);
+    default:
+      logInfo(`Skipping project event with action "${action}"`);
+  }
+}
+
+async function handleProjectCreated(event) {
   const projectId = event.object.id;
   const projectTitleFromWebhook = event.new?.title || null;
 
@@ -231,24 +282,25 @@ async function handleWebhookEvent(event) {
 
   try {
     // 1. Получаем данные проекта из Worksection
-    const wsProjectResponse = await fetchWorksectionProject(projectId);
-    const projectData = wsProjectResponse.data || {};
+    const projectData = await getProject(projectId);
 
     const projectName = projectData.name || projectTitleFromWebhook || `project_${projectId}`;
     const users = Array.isArray(projectData.users) ? projectData.users : [];
+    const team = extractTeam(projectData);
 
-    const emails = users
-      .map((u) => u.email)
-      .filter((e) => !!e);
-
-    logInfo(`Project team: ${users.length} users, ${emails.length} with emails`);
-    logDebug('Team emails:', emails);
+    logInfo(`Project team: ${users.length} users, ${team.length} with emails`);
+    logDebug('Team emails:', team.map((u) => u.email));
 
     // 2. Создаём папки в pCloud
-    const folders = await createProjectFolders(projectName, emails);
+    const folders = await createProjectFolders(projectId, projectName, projectData);
     
+    logInfo('Created folders:', folders.folders);
+    logInfo(`Provisioning run ${folders.report.id}: ${folders.report.status}`);
+
+    // 3. Ссылки на папки обратно в Worksection (ошибка здесь не валит провижининг)
+    await publishProjectLinks(projectId);
+
     logInfo('✅ Project processing completed successfully');
-    logInfo('Created folders:', folders);
     
   } catch (err) {
     logError('❌ Error processing project:', err.message);
@@ -257,6 +309,168 @@ async function handleWebhookEvent(event) {
   }
 }
 
+async function handleProjectUpdated(event) {
+  const projectId = event.object.id;
+  const newTitle = event.new?.title || null;
+  const oldTitle = event.old?.title || null;
+
+  // Архивирование может прийти как update со сменой статуса
+  const newStatus = event.new?.status || null;
+  if (newStatus === 'archive' || newStatus === 'archived') {
+    return handleProjectArchived({ ...event, action: 'archive' });
+  }
+
+  try {
+    if (newTitle && newTitle !== oldTitle) {
+      logInfo(`✏️ Project renamed: id=${projectId}, "${oldTitle}" → "${newTitle}"`);
+      await renameProjectFolder(projectId, newTitle);
+    }
+
+    // Команда могла измениться — сверяем шары с актуальным составом
+    const projectData = await getProject(projectId);
+    const summary = await syncProjectShares(projectId, projectData);
+    if (summary) {
+      logInfo('Share sync result:', summary);
+    }
+
+    logInfo('✅ Project update processed successfully');
+  } catch (err) {
+    logError('❌ Error processing project update:', err.message);
+    throw err;
+  }
+}
+
+async function handleProjectArchived(event) {
+  const projectId = event.object.id;
+
+  logInfo(`🗄️ Project ${event.action}: id=${projectId}`);
+
+  try {
+    await archiveProjectFolder(projectId, event.action);
+    logInfo('✅ Project archive processed successfully');
+  } catch (err) {
+    logError('❌ Error archiving project folder:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * ID проекта и задачи из адреса страницы Worksection: /project/<id>/<taskId>/[<subtaskId>/].
+ */
+function parseWsPage(page) {
+  const parts = String(page || '').split('/').filter(Boolean);
+  if (parts[0] !== 'project' || !/^\d+$/.test(parts[1] || '')) {
+    return { projectId: null, taskId: null };
+  }
+  const last = parts[parts.length - 1];
+  return { projectId: parts[1], taskId: parts.length > 2 && /^\d+$/.test(last) ? last : null };
+}
+
+/**
+ * ID проекта задачи: из ответа get_task, иначе из события (object.page).
+ */
+function taskProjectId(event, taskData) {
+  return taskData.project?.id || event.project?.id || parseWsPage(event.object?.page || taskData.page).projectId;
+}
+
+async function handleTaskEvent(event) {
+  const taskId = event.object.id;
+  const action = event.action;
+  const closed = action === 'close' || (action === 'update' && event.new?.status === 'done');
+
+  if (action !== 'post' && !closed) {
+    logInfo(`Skipping task event with action "${action}"`);
+    return;
+  }
+
+  try {
+    const taskData = await getTask(taskId, { extra: 'subscribers,files' });
+    const projectId = taskProjectId(event, taskData);
+    if (!projectId) {
+      logWarn(`Cannot determine project of task ${taskId}, skipping`);
+      return;
+    }
+
+    if (closed) {
+      logInfo(`✔️ Task closed: id=${taskId}, project=${projectId}`);
+      await closeTaskFolder(projectId, taskId);
+    } else {
+      logInfo(`📝 New task detected: id=${taskId}, project=${projectId}, title="${taskData.name || event.new?.title}"`);
+      const task = await createTaskFolder(projectId, taskId, { ...taskData, name: taskData.name || event.new?.title });
+      if (task) logInfo('Task folder:', task.path);
+
+      if (Array.isArray(taskData.files) && taskData.files.length > 0) {
+        logInfo('Task attachments:', await uploadAttachments(projectId, taskData.files, { taskId }));
+      }
+    }
+
+    logInfo('✅ Task event processed successfully');
+  } catch (err) {
+    logError('❌ Error processing task event:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Новый комментарий: скопировать его вложения в pCloud.
+ */
+async function handleCommentEvent(event) {
+  if (event.action !== 'post') {
+    logInfo(`Skipping comment event with action "${event.action}"`);
+    return;
+  }
+
+  const commentId = String(event.object.id);
+  const { projectId, taskId } = parseWsPage(event.object?.page || event.new?.page);
+  if (!projectId || !taskId) {
+    logWarn(`Cannot determine task of comment ${commentId}, skipping`);
+    return;
+  }
+
+  try {
+    let files = event.new?.files;
+    if (!Array.isArray(files)) {
+      const comment = (await getComments(taskId)).find((c) => String(c.id) === commentId);
+      files = comment?.files || [];
+    }
+    if (files.length === 0) {
+      logDebug(`Comment ${commentId} has no attachments`);
+      return;
+    }
+
+    logInfo(`📎 Comment ${commentId} in task ${taskId}: ${files.length} attachment(s)`);
+    logInfo('Comment attachments:', await uploadAttachments(projectId, files, { taskId }));
+  } catch (err) {
+    logError('❌ Error processing comment attachments:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Файл, добавленный к задаче или проекту: скопировать его в pCloud.
+ */
+async function handleFileEvent(event) {
+  if (event.action !== 'post') {
+    logInfo(`Skipping file event with action "${event.action}"`);
+    return;
+  }
+
+  const file = { id: event.object.id, name: event.new?.name || event.new?.title, size: event.new?.size };
+  const { projectId, taskId } = parseWsPage(event.object?.page || event.new?.page);
+  if (!projectId || !file.name) {
+    logWarn(`File event ${file.id} has no project page or file name, skipping`);
+    return;
+  }
+
+  try {
+    logInfo(`📎 File ${file.id} "${file.name}" added to project ${projectId}${taskId ? `, task ${taskId}` : ''}`);
+    logInfo('File attachment:', await uploadAttachments(projectId, [file], { taskId }));
+  } catch (err) {
+    logError('❌ Error processing file event:', err.message);
+    throw err;
+  }
+}
+
 // ========================================
 // HTTP ENDPOINTS
 // ========================================
@@ -271,43 +485,202 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Main webhook endpoint
-app.post('/ws-pcloud-hook', async (req, res) => {
-  const requestId = Math.random().toString(36).substring(7);
-  logInfo(`[${requestId}] ========================================`);
-  logInfo(`[${requestId}] Incoming webhook request`);
-  logInfo(`[${requestId}] Headers:`, JSON.stringify(req.headers));
-  
-  // Сразу отвечаем OK (требование Worksection)
-  res.status(200).json({ status: 'OK' });
+// Readiness: pCloud и Worksection реально отвечают (503, если нет — оркестратор снимет трафик)
+app.get('/ready', async (req, res) => {
+  const { ready, checks } = await checkReadiness();
+  if (!ready) {
+    logWarn('Readiness check failed:', Object.keys(checks).filter((name) => checks[name].status !== 'ok').join(', '));
+  }
 
-  // Проверка авторизации
-  if (!checkBasicAuth(req)) {
-    logWarn(`[${requestId}] Unauthorized request rejected`);
-    return;
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'READY' : 'NOT_READY',
+    timestamp: new Date().toISOString(),
+    checks,
+  });
+});
+
+// Prometheus metrics
+app.get('/metrics', requireMetricsAuth, async (req, res) => {
+  try {
+    res.type('text/plain; version=0.0.4').send(await renderMetrics());
+  } catch (err) {
+    logError('Failed to render metrics:', err.message);
+    res.status(500).json({ error: err.message });
   }
+});
+
+// Main webhook endpoint: основной аккаунт — /ws-pcloud-hook, тенанты — /ws-pcloud-hook/<id>
+async function receiveWebhook(req, res) {
+  const { requestId } = req;
+  const tenant = req.tenant?.id || null;
+  logInfo('Incoming webhook request');
+  logDebug('Headers:', req.headers);
 
   const body = req.body;
-  logInfo(`[${requestId}] Request body:`, JSON.stringify(body, null, 2));
+  logDebug('Request body:', JSON.stringify(body));
 
   // Worksection шлёт массив событий
   const events = Array.isArray(body) ? body : [body];
-  logInfo(`[${requestId}] Processing ${events.length} event(s)...`);
-
-  for (let i = 0; i < events.length; i++) {
-    const ev = events[i];
-    logInfo(`[${requestId}] --- Event ${i + 1}/${events.length} ---`);
-    try {
-      await handleWebhookEvent(ev);
-    } catch (err) {
-      logError(`[${requestId}] Event ${i + 1} failed:`, err.message);
+
+  // Сначала сохраняем события в очередь, только потом отвечаем
+  const received = [];
+  try {
+    for (const ev of events) {
+      const job = await enqueueEvent(ev, { requestId, tenant });
+      webhookEvents.inc({ type: ev?.object?.type || 'unknown', action: ev?.action || 'unknown' });
+      received.push({
+        jobId: job.id,
+        objType: ev?.object?.type || null,
+        action: ev?.action || null,
+        wsId: ev?.object?.id != null ? String(ev.object.id) : null,
+        title: ev?.new?.title || null,
+      });
     }
+  } catch (err) {
+    webhookRequests.inc({ outcome: 'enqueue_failed' });
+    logError('Failed to enqueue events:', err.message);
+    res.status(500).json({ status: 'ERROR' });
+    return;
+  }
+
+  logInfo(`${events.length} event(s) queued`);
+  webhookRequests.inc({ outcome: 'accepted' });
+
+  try {
+    await audit({ type: 'webhook.received', requestId, ip: req.ip, events: received });
+  } catch (err) {
+    logWarn('Failed to audit webhook delivery:', err.message);
   }
 
-  logInfo(`[${requestId}] Request processing completed`);
-  logInfo(`[${requestId}] ========================================`);
+  // Отвечаем OK (требование Worksection), обработка идёт в воркере очереди
+  res.status(200).json({ status: 'OK' });
+}
+
+app.post('/ws-pcloud-hook', webhookAuthMiddleware, receiveWebhook);
+app.post('/ws-pcloud-hook/:tenant', selectTenant((req) => req.params.tenant), webhookAuthMiddleware, receiveWebhook);
+
+// Служебные эндпоинты проекта работают с тенантом из заголовка X-Tenant (или ?tenant=)
+app.use(['/projects', '/admin/projects', '/admin/preview-folders', '/admin/dashboard'], selectTenant((req) => req.get('X-Tenant') || req.query.tenant));
+
+// Маппинг WS project → папки pCloud
+app.get('/projects/:wsId', requireAdminAuth, async (req, res) => {
+  try {
+    const record = await getProjectMapping(req.params.wsId);
+    if (!record) {
+      res.status(404).json({ error: 'Not found' });
+      return;
+    }
+    res.json(record);
+  } catch (err) {
+    logError(`Failed to read mapping of project ${req.params.wsId}:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Аудит изменений доступа по проекту
+app.get('/projects/:wsId/audit', requireAdminAuth, async (req, res) => {
+  const limit = Number(req.query.limit) || 100;
+  try {
+    res.json(await listAudit({ wsId: req.params.wsId, type: req.query.type || null, limit }));
+  } catch (err) {
+    logError(`Failed to read audit of project ${req.params.wsId}:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Ручной запуск создания датированных папок (по умолчанию — на сегодня)
+app.post('/admin/preview-folders/run', requireAdminAuth, async (req, res) => {
+  const date = req.query.date || req.body?.date || undefined;
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    return;
+  }
+
+  try {
+    const summary = await runDailyFolders({ date });
+    res.json(summary);
+  } catch (err) {
+    logError('Manual dated folders run failed:', err.message);
+    res.status(502).json({ error: err.message });
+  }
+});
+
+app.get('/admin/auth-stats', requireAdminAuth, (req, res) => {
+  res.json(getAuthStats());
+});
+
+// ========================================
+// ADMIN: DEAD-LETTER
+// ========================================
+app.get('/admin/queue', requireAdminAuth, async (req, res) => {
+  try {
+    res.json(await getQueueStats());
+  } catch (err) {
+    logError('Failed to read queue stats:', err.message);
+    res.status(500).json({ error: err.message });
+  }
 });
 
+app.get('/admin/dead-letters', requireAdminAuth, async (req, res) => {
+  try {
+    const items = await listDeadLetters();
+    res.json(
+      items.map((j) => ({
+        id: j.id,
+        requestId: j.requestId,
+        action: j.event?.action || null,
+        objType: j.event?.object?.type || null,
+        objId: j.event?.object?.id || null,
+        attempts: j.attempts,
+        lastError: j.lastError,
+        createdAt: j.createdAt,
+        deadLetteredAt: j.deadLetteredAt,
+      }))
+    );
+  } catch (err) {
+    logError('Failed to list dead-letter jobs:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/admin/dead-letters/:id', requireAdminAuth, async (req, res) => {
+  try {
+    const job = await getDeadLetter(req.params.id);
+    if (!job) {
+      res.status(404).json({ error: 'Not found' });
+      return;
+    }
+    res.json(job);
+  } catch (err) {
+    logError(`Failed to read dead-letter job ${req.params.id}:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/admin/dead-letters/:id/replay', requireAdminAuth, async (req, res) => {
+  try {
+    const job = await replayDeadLetter(req.params.id);
+    if (!job) {
+      res.status(404).json({ error: 'Not found' });
+      return;
+    }
+    logInfo(`Dead-letter job ${job.id} replayed by admin`);
+    res.json({ status: 'OK', id: job.id });
+  } catch (err) {
+    logError(`Failed to replay dead-letter job ${req.params.id}:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Дашборд для ops: история доставок, результат провижининга, повтор шагов
+app.use('/admin/dashboard', createDashboardRouter({ requireAuth: requireAdminAuth }));
+
+// Админ API проекта (только ADMIN_TOKEN)
+app.use('/admin/projects', createAdminRouter({ handleWebhookEvent }));
+
+// Подключение аккаунта pCloud через OAuth2 (вместо пароля в окружении)
+app.use('/oauth/pcloud', createPcloudOAuthRouter({ requireAuth: requireAdminAuth }));
+
 // Catch-all для неизвестных роутов
 app.use((req, res) => {
   logWarn(`Unknown route accessed: ${req.method} ${req.path}`);
@@ -323,10 +696,39 @@ app.listen(PORT, () => {
   logInfo('===========================================');
   logInfo('Available endpoints:');
   logInfo(`  GET  /health           - Health check`);
+  logInfo(`  GET  /ready            - Readiness (pCloud + Worksection)`);
+  logInfo(`  GET  /metrics          - Prometheus metrics`);
   logInfo(`  POST /ws-pcloud-hook   - Webhook handler`);
+  logInfo(`  POST /ws-pcloud-hook/:tenant - Webhook handler of a tenant (TENANTS_FILE)`);
+  logInfo(`  GET  /projects/:wsId   - Project folder mapping`);
+  logInfo(`  GET  /projects/:wsId/audit - Share audit trail`);
+  logInfo(`  GET  /admin/auth-stats - Webhook auth counters`);
+  logInfo(`  POST /admin/preview-folders/run - Create today's dated folders`);
+  logInfo(`  GET  /admin/dashboard  - Provisioning dashboard (HTML)`);
+  logInfo(`  GET  /admin/queue      - Queue stats`);
+  logInfo(`  GET  /admin/dead-letters[/:id] - Dead-letter jobs`);
+  logInfo(`  POST /admin/dead-letters/:id/replay - Replay dead-letter job`);
+  logInfo(`  POST /admin/projects/:wsId/provision - Provision project folders (ADMIN_TOKEN)`);
+  logInfo(`  POST /admin/projects/:wsId/share - Share project folder with emails (ADMIN_TOKEN)`);
+  logInfo(`  GET  /admin/projects/:wsId/folders - pCloud folder tree (ADMIN_TOKEN)`);
+  logInfo(`  GET  /admin/projects/:wsId/runs[/:runId] - Provisioning run reports (ADMIN_TOKEN)`);
+  logInfo(`  DELETE /admin/projects/:wsId/shares/:email - Revoke access (ADMIN_TOKEN)`);
+  logInfo(`  GET  /oauth/pcloud/start - Connect pCloud account via OAuth2`);
+  logInfo(`  GET  /oauth/pcloud/callback - OAuth2 redirect target`);
   logInfo('===========================================');
 });
 
+// Планировщик ежедневных Preview-папок
+startScheduler();
+
+// Уведомления о новых файлах в Final_render / Preview (опрос pCloud diff)
+startNotifier();
+
+// Воркер очереди: обрабатывает сохранённые события с ретраями
+startQueueWorker(handleWebhookEvent).catch((err) => {
+  logError('Failed to start queue worker:', err.message);
+});
+
 // Обработка необработанных ошибок
 process.on('uncaughtException', (err) => {
   logError('Uncaught Exception:', err);
@@ -0,0 +1,148 @@
+// share-rules.js
+// Правила шаринга: атрибуты пользователя Worksection → маска прав pCloud и целевая папка
+//
+// Формат файла (по умолчанию share-rules.json):
+// {
+//   "rules": [
+//     { "name": "clients", "match": { "external": true }, "folder": "finalRender", "permissions": 0 },
+//     { "name": "blocked", "match": { "domain": ["competitor.com"] }, "deny": true },
+//     { "name": "staff", "match": {}, "folder": "project", "permissions": 7 }
+//   ]
+// }
+//
+// match: role, company, domain, email — списки допустимых значений (без учёта регистра),
+// external — true/false. Пустой match подходит всем. Срабатывает первое подходящее правило.
+// folder — ключ папки из маппинга проекта (project или key из шаблона папок).
+// permissions — битовая маска pCloud (0=только чтение, 1=create, 2=modify, 4=delete).
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const SHARE_RULES_FILE = process.env.SHARE_RULES_FILE || './share-rules.json';
+
+const LIST_FIELDS = ['role', 'company', 'domain', 'email'];
+
+// Роли Worksection, которые считаем внешними (клиент/гость)
+const EXTERNAL_ROLES = ['guest', 'reader', 'client'];
+
+let cachedRules;
+
+/**
+ * Нормализованные атрибуты пользователя из ответа Worksection.
+ */
+export function describeUser(user) {
+  const email = (user.email || '').trim().toLowerCase();
+  const role = (user.role || '').toLowerCase() || null;
+  const company = user.company || user.group || null;
+
+  // Worksection может отдавать флаги как 1/"1"/true
+  const external = [user.external, user.is_client].some((v) => v === true || v === 1 || v === '1')
+    || (role !== null && EXTERNAL_ROLES.includes(role));
+
+  return {
+    email,
+    role,
+    company,
+    external,
+    domain: email.includes('@') ? email.split('@').pop() : null,
+  };
+}
+
+/**
+ * Проверить конфиг правил. Бросает ошибку с описанием первой проблемы.
+ */
+export function validateShareRules(config) {
+  const rules = config?.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error('Share rules: "rules" must be an array');
+  }
+
+  rules.forEach((rule, i) => {
+    const label = rule.name || `#${i + 1}`;
+    const match = rule.match || {};
+
+    for (const field of LIST_FIELDS) {
+      if (match[field] !== undefined && !Array.isArray(match[field])) {
+        throw new Error(`Share rules: rule ${label}: match.${field} must be an array`);
+      }
+    }
+    if (match.external !== undefined && typeof match.external !== 'boolean') {
+      throw new Error(`Share rules: rule ${label}: match.external must be true or false`);
+    }
+
+    if (rule.deny) return;
+
+    const p = rule.permissions;
+    if (!Number.isInteger(p) || p < 0 || p > 15) {
+      throw new Error(`Share rules: rule ${label}: permissions must be an integer 0..15`);
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Прочитать правила из файла. Если файла нет — null (используются права из шаблона папок).
+ */
+export function loadShareRules() {
+  if (cachedRules !== undefined) return cachedRules;
+
+  let raw;
+  try {
+    raw = fs.readFileSync(SHARE_RULES_FILE, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      cachedRules = null;
+      return cachedRules;
+    }
+    throw new Error(`Share rules: cannot read ${SHARE_RULES_FILE}: ${err.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Share rules: invalid JSON in ${SHARE_RULES_FILE}: ${err.message}`);
+  }
+
+  cachedRules = validateShareRules(parsed);
+  return cachedRules;
+}
+
+function matchesRule(rule, desc) {
+  const match = rule.match || {};
+
+  for (const field of LIST_FIELDS) {
+    const allowed = match[field];
+    if (!allowed || allowed.length === 0) continue;
+
+    const value = (desc[field] || '').toLowerCase();
+    if (!allowed.some((v) => String(v).toLowerCase() === value)) return false;
+  }
+
+  if (match.external !== undefined && match.external !== desc.external) return false;
+
+  return true;
+}
+
+/**
+ * Решить, что и с какими правами шарить пользователю.
+ * Возвращает { rule, folder, permissions }, { rule, deny: true } или null, если ни одно правило не подошло.
+ */
+export function resolveShare(user, rules) {
+  const desc = describeUser(user);
+  const rule = rules.find((r) => matchesRule(r, desc));
+
+  if (!rule) return null;
+
+  if (rule.deny) {
+    return { rule: rule.name || null, deny: true };
+  }
+
+  return {
+    rule: rule.name || null,
+    folder: rule.folder || 'project',
+    permissions: rule.permissions,
+  };
+}
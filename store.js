@@ -0,0 +1,99 @@
+// store.js
+// Простое файловое хранилище JSON для локального состояния бриджа (очередь, маппинги и т.п.)
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import { currentTenant } from './tenants.js';
+
+dotenv.config();
+
+export const DATA_DIR = process.env.DATA_DIR || './data';
+
+/**
+ * Каталог данных текущего тенанта (основной аккаунт — DATA_DIR).
+ */
+export function dataDir() {
+  return currentTenant()?.dataDir || DATA_DIR;
+}
+
+// Цепочки записи по файлу, чтобы параллельные записи не перетирали друг друга
+const writeChains = new Map();
+
+/**
+ * Прочитать JSON-файл из каталога данных. Если файла нет — вернуть fallback.
+ */
+export async function readJson(name, fallback) {
+  const file = path.join(dataDir(), name);
+  try {
+    const raw = await fs.readFile(file, 'utf8');
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return fallback;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Атомарно записать JSON в каталог данных (через временный файл + rename).
+ */
+export async function writeJson(name, value) {
+  const dir = dataDir();
+  const file = path.join(dir, name);
+  const prev = writeChains.get(file) || Promise.resolve();
+
+  const next = prev.catch(() => {}).then(async () => {
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value, null, 2), 'utf8');
+    await fs.rename(tmp, file);
+  });
+
+  writeChains.set(file, next);
+  return next;
+}
+
+/**
+ * Дописать запись в JSON Lines файл в каталог данных (для журналов/аудита).
+ */
+export async function appendJsonLine(name, value) {
+  const dir = dataDir();
+  const file = path.join(dir, name);
+  const prev = writeChains.get(file) || Promise.resolve();
+
+  const next = prev.catch(() => {}).then(async () => {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.appendFile(file, JSON.stringify(value) + '\n', 'utf8');
+  });
+
+  writeChains.set(file, next);
+  return next;
+}
+
+/**
+ * Прочитать JSON Lines файл из каталога данных. Битые строки пропускаются.
+ */
+export async function readJsonLines(name) {
+  const file = path.join(dataDir(), name);
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+
+  const items = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      items.push(JSON.parse(line));
+    } catch {
+      // пропускаем недописанную строку
+    }
+  }
+  return items;
+}
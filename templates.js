@@ -0,0 +1,256 @@
+// templates.js
+// Шаблоны структуры папок проекта (по умолчанию folder-templates.json)
+//
+// Формат файла:
+// {
+//   "templates": [
+//     {
+//       "name": "animation",
+//       "match": { "tags": ["animation"], "group": ["Studio A"] },   // пустой match — подходит всем
+//       "share": { "permissions": 7 },                              // шаринг папки проекта (null — не шарить)
+//       "folders": [
+//         { "key": "sources", "path": "Sources" },
+//         { "path": "Client_feedback", "share": { "permissions": 1 } },
+//         { "path": "Deliverables/v001" },
+//         { "path": "Preview/{date}" }
+//       ],
+//       "tasks": {                                                   // папки задач (нет секции — не создаются)
+//         "enabled": true,                                           // false — секция выключена
+//         "match": { "tags": ["render"] },                           // пустой match — все задачи проекта
+//         "path": "Tasks/{taskId}_{task}",
+//         "donePath": "Tasks/_Done",                                 // куда переносить закрытые (null — не переносить)
+//         "share": { "permissions": 7 }                              // исполнителю и подписчикам (null — не шарить)
+//       },
+//       "attachments": { "folder": "preview", "taskFolders": true }  // куда копировать вложения (см. attachments.js)
+//     }
+//   ]
+// }
+//
+// Плейсхолдеры в path: {project}, {date}, {wsId}, {manager}, {tag}; в tasks.path — {taskId}, {task}.
+// Без share.permissions у tasks права берутся из правила шаринга пользователя (share-rules.json),
+// а без правила — PCLOUD_DEFAULT_PERMISSIONS.
+//
+// В шаблоне default из поставки папки задач выключены ("enabled": false): на каждую задачу
+// каждого проекта создаётся папка с шарами. Чтобы включить — поставить "enabled": true
+// и сузить match по тегам задач.
+// Шаблоны проверяются по порядку, выбирается первый подходящий.
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { sanitizeFolderName } from './folder-names.js';
+
+dotenv.config();
+
+const TEMPLATES_FILE = process.env.FOLDER_TEMPLATES_FILE || './folder-templates.json';
+
+// Ключ папки проекта в маппинге; шаблонные папки не могут его переопределить
+export const PROJECT_FOLDER_KEY = 'project';
+
+const TASK_PLACEHOLDERS = ['taskId', 'task'];
+
+let cachedTemplates = null;
+
+/**
+ * Прочитать и проверить файл шаблонов (кэшируется на время жизни процесса).
+ */
+export function loadTemplates() {
+  if (cachedTemplates) return cachedTemplates;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(TEMPLATES_FILE, 'utf8'));
+  } catch (err) {
+    throw new Error(`Folder templates: cannot read ${TEMPLATES_FILE}: ${err.message}`);
+  }
+
+  const templates = parsed?.templates;
+  if (!Array.isArray(templates) || templates.length === 0) {
+    throw new Error(`Folder templates: ${TEMPLATES_FILE} must contain a non-empty "templates" array`);
+  }
+
+  for (const tpl of templates) {
+    if (!tpl.name || !Array.isArray(tpl.folders)) {
+      throw new Error(`Folder templates: each template needs "name" and "folders" (got ${JSON.stringify(tpl)})`);
+    }
+    for (const folder of tpl.folders) {
+      if (!folder.path || folder.path.startsWith('/')) {
+        throw new Error(`Folder templates: "${tpl.name}" has invalid folder path ${JSON.stringify(folder.path)}`);
+      }
+      if (folder.key === PROJECT_FOLDER_KEY || folder.key === 'root') {
+        throw new Error(`Folder templates: "${tpl.name}" uses reserved folder key "${folder.key}"`);
+      }
+    }
+    if (tpl.tasks) validateTaskRule(tpl);
+    if (tpl.attachments && typeof tpl.attachments.folder !== 'string' && tpl.attachments.folder !== undefined) {
+      throw new Error(`Folder templates: "${tpl.name}" attachments.folder must be a folder key`);
+    }
+  }
+
+  cachedTemplates = templates;
+  return templates;
+}
+
+function validateTaskRule(tpl) {
+  const { path, donePath } = tpl.tasks;
+  const placeholders = [...String(path ?? '').matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+
+  // {taskId} в пути — папки задач с одинаковыми названиями не конфликтуют, в том числе в donePath
+  if (!path || path.startsWith('/') || !placeholders.includes('taskId')) {
+    throw new Error(`Folder templates: "${tpl.name}" tasks.path must be relative and contain {taskId} (got ${JSON.stringify(path)})`);
+  }
+  const unknown = placeholders.find((p) => !TASK_PLACEHOLDERS.includes(p));
+  if (unknown) {
+    throw new Error(`Folder templates: "${tpl.name}" tasks.path uses unknown placeholder {${unknown}}`);
+  }
+  if (donePath != null && (!donePath || donePath.startsWith('/') || donePath.includes('{'))) {
+    throw new Error(`Folder templates: "${tpl.name}" tasks.donePath must be a relative path without placeholders`);
+  }
+}
+
+/**
+ * Теги проекта из ответа Worksection (объект {id: name} или массив).
+ */
+export function getProjectTags(projectData) {
+  const tags = projectData?.tags;
+  if (!tags) return [];
+
+  const values = Array.isArray(tags) ? tags : Object.values(tags);
+  return values
+    .map((t) => (typeof t === 'string' ? t : t?.title || t?.name))
+    .filter((t) => !!t);
+}
+
+/**
+ * Группа (папка) проекта в Worksection.
+ */
+export function getProjectGroup(projectData) {
+  return projectData?.project_group?.name || projectData?.project_group?.title || projectData?.company || null;
+}
+
+function matchesTemplate(tpl, projectData) {
+  const match = tpl.match || {};
+
+  if (Array.isArray(match.tags) && match.tags.length > 0) {
+    const tags = getProjectTags(projectData);
+    if (!match.tags.some((t) => tags.includes(t))) return false;
+  }
+
+  if (Array.isArray(match.group) && match.group.length > 0) {
+    const group = getProjectGroup(projectData);
+    if (!match.group.includes(group)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Выбрать шаблон для проекта по тегам/группе.
+ */
+export function selectTemplate(projectData) {
+  const templates = loadTemplates();
+  const tpl = templates.find((t) => matchesTemplate(t, projectData));
+  if (!tpl) {
+    throw new Error('Folder templates: no template matches the project and no catch-all template is defined');
+  }
+  return tpl;
+}
+
+export function getTemplate(name) {
+  return loadTemplates().find((t) => t.name === name) || null;
+}
+
+/**
+ * Правило папок задач шаблона, если задача под него подходит (по тегам задачи), иначе null.
+ */
+export function selectTaskRule(tpl, taskData) {
+  const rule = tpl?.tasks;
+  if (!rule || rule.enabled === false) return null;
+
+  const matchTags = rule.match?.tags || [];
+  if (matchTags.length > 0) {
+    const tags = getProjectTags(taskData);
+    if (!matchTags.some((t) => tags.includes(t))) return null;
+  }
+
+  return rule;
+}
+
+/**
+ * Значения плейсхолдеров для проекта.
+ */
+export function buildTemplateVars(tpl, { wsId, projectName, date, projectData }) {
+  const tags = getProjectTags(projectData);
+  const matchTags = tpl.match?.tags || [];
+  const tag = tags.find((t) => matchTags.includes(t)) || tags[0] || 'untagged';
+
+  return {
+    project: projectName,
+    date,
+    wsId: String(wsId),
+    manager: projectData?.user_to?.name || projectData?.user_to?.email || 'unassigned',
+    tag,
+  };
+}
+
+function fillPlaceholders(str, vars) {
+  return str.replace(/\{(\w+)\}/g, (m, name) => {
+    if (!(name in vars)) {
+      throw new Error(`Folder templates: unknown placeholder ${m} in "${str}"`);
+    }
+    // Значения плейсхолдеров — отдельные сегменты пути, без разделителей и запрещённых символов
+    return sanitizeFolderName(String(vars[name]));
+  });
+}
+
+/**
+ * Развернуть шаблон в список папок относительно projectPath.
+ * Промежуточные папки (Deliverables для Deliverables/v001) добавляются автоматически,
+ * т.к. createfolderifnotexists создаёт только последний уровень.
+ * Возвращает [{ key, path, share, dated }] в порядке создания;
+ * dated — папка (или её родитель) содержит {date}, т.е. своя на каждый день.
+ */
+export function renderTemplate(tpl, projectPath, vars) {
+  const result = [];
+  const byRelPath = new Map();
+
+  for (const folder of tpl.folders) {
+    // Значения плейсхолдеров не содержат '/', поэтому сегменты шаблона и результата совпадают
+    const rawParts = folder.path.split('/').filter(Boolean);
+    const parts = fillPlaceholders(folder.path, vars).split('/').filter(Boolean);
+    const firstDated = rawParts.findIndex((p) => p.includes('{date}'));
+
+    for (let i = 1; i <= parts.length; i++) {
+      const rel = parts.slice(0, i).join('/');
+      const isLeaf = i === parts.length;
+      const existing = byRelPath.get(rel);
+
+      if (existing) {
+        // Папка уже добавлена как промежуточная — явное описание уточняет key/share
+        if (isLeaf) {
+          if (folder.key) existing.key = folder.key;
+          if (folder.share) existing.share = folder.share;
+        }
+        continue;
+      }
+
+      const entry = {
+        key: isLeaf && folder.key ? folder.key : rel,
+        path: `${projectPath}/${rel}`,
+        share: isLeaf ? folder.share || null : null,
+        dated: firstDated !== -1 && i > firstDated,
+      };
+      byRelPath.set(rel, entry);
+      result.push(entry);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Пути для relPath (tasks.path или tasks.donePath) относительно projectPath в порядке создания:
+ * [промежуточные..., сама папка] — createfolderifnotexists создаёт только последний уровень.
+ */
+export function renderTaskFolders(relPath, projectPath, vars = {}) {
+  const parts = fillPlaceholders(relPath, vars).split('/').filter(Boolean);
+  return parts.map((_, i) => `${projectPath}/${parts.slice(0, i + 1).join('/')}`);
+}
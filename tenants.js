@@ -0,0 +1,200 @@
+// tenants.js
+// Несколько студий в одном бридже: у каждой свой Worksection, свой pCloud и свои данные
+//
+// Формат файла (по умолчанию tenants.json; нет файла — работает только основной аккаунт из env):
+// {
+//   "tenants": [
+//     {
+//       "id": "studio-a",
+//       "worksection": { "baseUrl": "https://studio-a.worksection.com", "adminToken": "${STUDIO_A_WS_TOKEN}" },
+//       "pcloud": { "api": "https://eapi.pcloud.com", "auth": "${STUDIO_A_PCLOUD_AUTH}" },
+//       "webhook": { "user": "studio-a", "pass": "${STUDIO_A_WEBHOOK_PASS}" }
+//     }
+//   ]
+// }
+//
+// Вебхуки тенанта приходят на /ws-pcloud-hook/<id>, основного аккаунта — как раньше на /ws-pcloud-hook.
+// pcloud: auth или username/password (OAuth — только у основного аккаунта).
+// webhook: user/pass, hmacSecret, sharedSecret, ipAllowlist — хотя бы один секрет обязателен.
+// dataDir — данные тенанта (маппинги, аудит, индексы), по умолчанию DATA_DIR/tenants/<id>.
+// "${VAR}" в строках подставляется из окружения, чтобы не хранить секреты в файле.
+//
+// Клиенты pCloud/Worksection, кэши токенов и файлы данных берутся из текущего тенанта
+// (AsyncLocalStorage, как контекст логов): runWithTenant(tenant, fn).
+// Служебные API проекта и дашборд выбирают тенанта заголовком X-Tenant (или ?tenant=);
+// /ready проверяет все аккаунты.
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import dotenv from 'dotenv';
+import { runWithLogContext } from './logger.js';
+
+dotenv.config();
+
+const TENANTS_FILE = process.env.TENANTS_FILE || './tenants.json';
+
+const TENANT_ID_RE = /^[a-z0-9][a-z0-9_-]{0,62}$/i;
+
+let cachedTenants;
+
+const context = new AsyncLocalStorage();
+
+// ========================================
+// CONFIG
+// ========================================
+
+/**
+ * Подставить "${VAR}" из окружения. Незаданная переменная — ошибка, а не пустая строка.
+ */
+function expandEnv(value, label) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (m, name) => {
+      if (process.env[name] === undefined) {
+        throw new Error(`Tenants: ${label}: environment variable ${name} is not set`);
+      }
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => expandEnv(v, label));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expandEnv(v, `${label}.${k}`)]));
+  }
+  return value;
+}
+
+/**
+ * Проверить конфиг тенантов. Бросает ошибку с описанием первой проблемы.
+ */
+export function validateTenants(config) {
+  const tenants = config?.tenants;
+  if (!Array.isArray(tenants)) {
+    throw new Error('Tenants: "tenants" must be an array');
+  }
+
+  const seen = new Set();
+  return tenants.map((raw, i) => {
+    const label = raw?.id || `#${i + 1}`;
+    const tenant = expandEnv(raw, label);
+
+    if (typeof tenant.id !== 'string' || !TENANT_ID_RE.test(tenant.id)) {
+      throw new Error(`Tenants: tenant ${label}: id must be letters, digits, "-" or "_"`);
+    }
+    if (tenant.id === 'default') {
+      throw new Error('Tenants: id "default" is reserved for the account configured by env');
+    }
+    if (seen.has(tenant.id)) {
+      throw new Error(`Tenants: duplicate id "${tenant.id}"`);
+    }
+    seen.add(tenant.id);
+
+    const ws = tenant.worksection || {};
+    if (!ws.baseUrl || !ws.adminToken) {
+      throw new Error(`Tenants: tenant ${tenant.id}: worksection.baseUrl and worksection.adminToken are required`);
+    }
+
+    const pc = tenant.pcloud || {};
+    if (!pc.auth && !(pc.username && pc.password)) {
+      throw new Error(`Tenants: tenant ${tenant.id}: pcloud.auth or pcloud.username/password is required`);
+    }
+
+    const hook = tenant.webhook || {};
+    if (!(hook.user && hook.pass) && !hook.hmacSecret && !hook.sharedSecret) {
+      throw new Error(`Tenants: tenant ${tenant.id}: webhook needs user/pass, hmacSecret or sharedSecret`);
+    }
+    if (hook.ipAllowlist !== undefined && !Array.isArray(hook.ipAllowlist)) {
+      throw new Error(`Tenants: tenant ${tenant.id}: webhook.ipAllowlist must be an array`);
+    }
+
+    return {
+      id: tenant.id,
+      dataDir: tenant.dataDir || path.join(process.env.DATA_DIR || './data', 'tenants', tenant.id),
+      worksection: { baseUrl: ws.baseUrl, adminToken: ws.adminToken, commentAuthor: ws.commentAuthor || null },
+      pcloud: { api: pc.api || null, auth: pc.auth || null, username: pc.username || null, password: pc.password || null },
+      webhook: {
+        user: hook.user || null,
+        pass: hook.pass || null,
+        hmacSecret: hook.hmacSecret || null,
+        sharedSecret: hook.sharedSecret || null,
+        ipAllowlist: hook.ipAllowlist || [],
+      },
+    };
+  });
+}
+
+/**
+ * Прочитать тенантов из файла. Если файла нет — пустой список (только основной аккаунт).
+ */
+export function loadTenants() {
+  if (cachedTenants !== undefined) return cachedTenants;
+
+  let raw;
+  try {
+    raw = fs.readFileSync(TENANTS_FILE, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      cachedTenants = [];
+      return cachedTenants;
+    }
+    throw new Error(`Tenants: cannot read ${TENANTS_FILE}: ${err.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Tenants: invalid JSON in ${TENANTS_FILE}: ${err.message}`);
+  }
+
+  cachedTenants = validateTenants(parsed);
+  return cachedTenants;
+}
+
+export function getTenant(id) {
+  if (!id) return null;
+  return loadTenants().find((t) => t.id === id) || null;
+}
+
+// ========================================
+// CONTEXT
+// ========================================
+
+/**
+ * Выполнить fn от имени тенанта (null — основной аккаунт из env). Логи внутри получают поле tenant.
+ */
+export function runWithTenant(tenant, fn) {
+  if (!tenant) return context.run(null, fn);
+  return context.run(tenant, () => runWithLogContext({ tenant: tenant.id }, fn));
+}
+
+/**
+ * Текущий тенант или null, если работаем с основным аккаунтом.
+ */
+export function currentTenant() {
+  return context.getStore() || null;
+}
+
+/**
+ * ID текущего тенанта для ключей кэшей ('default' — основной аккаунт).
+ */
+export function currentTenantId() {
+  return currentTenant()?.id || 'default';
+}
+
+/**
+ * Выполнить fn для основного аккаунта и каждого тенанта по очереди (планировщики, опрос pCloud).
+ * Ошибка одного тенанта не останавливает остальных: { [id]: { result } | { error } }.
+ */
+export async function forEachTenant(fn) {
+  // Основной аккаунт участвует, только если он настроен (бридж может обслуживать одних тенантов)
+  const accounts = process.env.WS_BASE_URL ? [null, ...loadTenants()] : loadTenants();
+  const results = {};
+  for (const tenant of accounts) {
+    const id = tenant?.id || 'default';
+    try {
+      results[id] = { result: await runWithTenant(tenant, () => fn(tenant)) };
+    } catch (err) {
+      results[id] = { error: err.message };
+    }
+  }
+  return results;
+}
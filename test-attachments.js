@@ -0,0 +1,131 @@
+// test-attachments.js
+// Юнит-тесты копирования вложений Worksection → pCloud: сверка SHA-1 и размера, дедупликация до загрузки
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+process.env.DATA_DIR = dir;
+process.env.FOLDER_TEMPLATES_FILE = path.join(dir, 'templates.json');
+process.env.PCLOUD_API = 'https://api.example.com';
+process.env.PCLOUD_AUTH = 'token';
+process.env.PCLOUD_CLIENT_ID = '';
+process.env.WS_BASE_URL = 'https://example.worksection.com';
+process.env.WS_ADMIN_TOKEN = 'apikey';
+process.env.WS_MIN_INTERVAL_MS = '0';
+
+fs.writeFileSync(process.env.FOLDER_TEMPLATES_FILE, JSON.stringify({
+  templates: [{ name: 'default', match: {}, folders: [{ key: 'inbox', path: 'Inbox' }], attachments: { folder: 'inbox' } }],
+}));
+fs.writeFileSync(path.join(dir, 'projects.json'), JSON.stringify({
+  1: {
+    wsId: '1',
+    name: 'Proj',
+    projectPath: '/P',
+    template: 'default',
+    folders: { project: { path: '/P', folderid: 10, shares: {} }, inbox: { path: '/P/Inbox', folderid: 11, shares: {} } },
+  },
+}));
+
+const { setPcloudTransport } = await import('./pcloud.js');
+const { setWorksectionTransport } = await import('./worksection.js');
+const { uploadAttachment, uploadAttachments } = await import('./attachments.js');
+
+const CONTENT = { a: 'first file', b: 'second file', c: 'first file' };
+
+let uploads;
+let deleted;
+let corruptChecksum = false;
+let nextFileId = 100;
+
+setWorksectionTransport(async (url, { responseType } = {}) => {
+  const id = new URL(url).searchParams.get('id_file');
+  assert.equal(responseType, 'stream');
+  if (!CONTENT[id]) {
+    return { status: 200, data: Readable.from([JSON.stringify({ status: 'error', message: 'File not found' })]), headers: { 'content-type': 'application/json' } };
+  }
+  return { status: 200, data: Readable.from([Buffer.from(CONTENT[id])]), headers: { 'content-type': 'application/pdf', 'content-length': String(CONTENT[id].length) } };
+});
+
+setPcloudTransport(async (url, params, headers, body) => {
+  const method = url.split('/').pop();
+  if (method === 'deletefile') {
+    deleted.push(params.fileid);
+    return { status: 200, data: { result: 0 } };
+  }
+
+  // Загрузка приходит потоком — читаем его как pCloud
+  assert.ok(body instanceof Readable);
+  const hash = crypto.createHash('sha1');
+  let size = 0;
+  for await (const chunk of body) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  const fileid = nextFileId++;
+  uploads.push({ folderid: params.folderid, filename: params.filename, size, contentLength: headers['Content-Length'] });
+  return {
+    status: 200,
+    data: {
+      result: 0,
+      metadata: [{ fileid, size, path: `/P/Inbox/${params.filename}` }],
+      checksums: [{ sha1: corruptChecksum ? 'bad' : hash.digest('hex') }],
+    },
+  };
+});
+
+after(() => {
+  setPcloudTransport(null);
+  setWorksectionTransport(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function reset() {
+  uploads = [];
+  deleted = [];
+}
+
+test('attachment is uploaded into the template folder and verified by SHA-1', async () => {
+  reset();
+  // size из API Worksection неверный — размер считается по скачанным данным
+  const entry = await uploadAttachment(1, { id: 'a', name: 'brief.pdf', size: 999 });
+
+  assert.equal(entry.status, 'uploaded');
+  assert.equal(entry.sha1, crypto.createHash('sha1').update(CONTENT.a).digest('hex'));
+  assert.deepEqual(uploads, [{ folderid: 11, filename: 'brief.pdf', size: 10, contentLength: '10' }]);
+});
+
+test('same Worksection file is not uploaded twice; same content is kept once per folder', async () => {
+  reset();
+  const again = await uploadAttachment(1, { id: 'a', name: 'brief.pdf' });
+  assert.equal(again.skipped, true);
+  assert.equal(uploads.length, 0);
+
+  // Дубликат определяется по SHA-1 и размеру до загрузки: в pCloud ничего не уходит и не удаляется
+  const copy = await uploadAttachment(1, { id: 'c', name: 'brief (copy).pdf' });
+  assert.equal(copy.status, 'duplicate');
+  assert.equal(copy.duplicateOf, 'a');
+  assert.equal(copy.size, 10);
+  assert.equal(uploads.length, 0);
+  assert.deepEqual(deleted, []);
+});
+
+test('checksum mismatch removes the upload and fails; other files still go through', async () => {
+  reset();
+  corruptChecksum = true;
+  try {
+    await assert.rejects(uploadAttachments(1, [{ id: 'b', name: 'notes.txt' }, { id: 'missing', name: 'x.bin' }]), /2 attachment\(s\) failed/);
+  } finally {
+    corruptChecksum = false;
+  }
+  assert.equal(deleted.length, 1);
+
+  reset();
+  const summary = await uploadAttachments(1, [{ id: 'b', name: 'notes.txt' }, { id: 'a', name: 'brief.pdf' }]);
+  assert.deepEqual(summary, { uploaded: 1, duplicate: 0, skipped: 1, failed: [] });
+});
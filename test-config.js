@@ -0,0 +1,93 @@
+// test-config.js
+// Юнит-тесты схемы настроек: понятные ошибки по env и самопроверка --check-config --live
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+process.env.DATA_DIR = dir;
+process.env.TENANTS_FILE = path.join(dir, 'tenants.json');
+process.env.PCLOUD_API = 'https://api.example.com';
+process.env.PCLOUD_AUTH = 'token';
+process.env.PCLOUD_CLIENT_ID = '';
+process.env.WS_BASE_URL = 'https://example.worksection.com';
+process.env.WS_ADMIN_TOKEN = 'apikey';
+process.env.WS_MIN_INTERVAL_MS = '0';
+
+const { validateConfig, checkConfig } = await import('./config.js');
+const { setPcloudTransport } = await import('./pcloud.js');
+const { setWorksectionTransport } = await import('./worksection.js');
+
+after(() => {
+  setPcloudTransport(null);
+  setWorksectionTransport(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const base = {
+  WS_BASE_URL: 'https://example.worksection.com',
+  WS_ADMIN_TOKEN: 'apikey',
+  PCLOUD_AUTH: 'token',
+};
+
+const names = (list) => list.map((e) => e.name);
+
+test('a minimal valid config has no errors', () => {
+  assert.deepEqual(validateConfig(base), { errors: [], warnings: [] });
+});
+
+test('bad values are reported per variable with a hint, secrets are not echoed', () => {
+  const { errors } = validateConfig({
+    ...base,
+    PORT: '80a',
+    WS_BASE_URL: 'example.worksection.com',
+    PCLOUD_PROJECTS_ROOT: 'WorksectionProjects/',
+    PCLOUD_DEFAULT_PERMISSIONS: '16',
+    STUDIO_TIMEZONE: 'Mars/Olympus',
+    PREVIEW_SCHEDULE_TIME: '7:00',
+    PCLOUD_TOKEN_KEY: 'short',
+  });
+
+  assert.deepEqual(names(errors), ['PORT', 'WS_BASE_URL', 'PCLOUD_TOKEN_KEY', 'PCLOUD_PROJECTS_ROOT', 'PCLOUD_DEFAULT_PERMISSIONS', 'STUDIO_TIMEZONE', 'PREVIEW_SCHEDULE_TIME', 'PCLOUD_CLIENT_ID']);
+  assert.match(errors[1].message, /absolute URL/);
+  assert.match(errors[4].message, /0\.\.15/);
+  assert.equal(errors[2].message.includes('short'), false);
+});
+
+test('settings that only work together are checked as a group', () => {
+  const { errors } = validateConfig({ ...base, WEBHOOK_USER: 'hook', PCLOUD_CLIENT_ID: 'id' });
+  assert.deepEqual(errors, [
+    { name: 'WEBHOOK_PASS', message: 'is required when WEBHOOK_USER is set' },
+    { name: 'PCLOUD_CLIENT_SECRET', message: 'pCloud OAuth needs PCLOUD_CLIENT_ID, PCLOUD_CLIENT_SECRET, PCLOUD_TOKEN_KEY — missing PCLOUD_CLIENT_SECRET, PCLOUD_TOKEN_KEY' },
+  ]);
+
+  const archive = validateConfig({ ...base, PCLOUD_PROJECTS_ROOT: '/Studio', PCLOUD_ARCHIVE_PATH: '/studio' });
+  assert.deepEqual(names(archive.errors), ['PCLOUD_ARCHIVE_PATH']);
+});
+
+test('public folder links are an explicit opt-in with a warning', () => {
+  assert.deepEqual(names(validateConfig({ ...base, PCLOUD_LINK_MODE: 'publink' }).warnings), ['PCLOUD_LINK_MODE']);
+});
+
+test('an empty config is an error, not a silently idle bridge', () => {
+  const { errors } = validateConfig({});
+  assert.deepEqual(names(errors), ['WS_BASE_URL']);
+
+  assert.deepEqual(names(validateConfig({ WS_BASE_URL: base.WS_BASE_URL, WS_ADMIN_TOKEN: 'apikey' }).errors), ['PCLOUD_AUTH']);
+});
+
+test('live check calls each service once and reports failures', async () => {
+  setPcloudTransport(async (url) => {
+    assert.equal(url.split('/').pop(), 'userinfo');
+    return { status: 200, data: { result: 0, email: 'me@example.com' } };
+  });
+  setWorksectionTransport(async () => ({ status: 200, data: { status: 'error', message: 'Invalid hash' } }));
+
+  const report = await checkConfig({ live: true });
+  assert.equal(report.live.default.pcloud, 'ok');
+  assert.match(report.live.default.worksection, /Invalid hash/);
+  assert.deepEqual(names(report.errors), ['default/worksection']);
+});
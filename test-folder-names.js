@@ -0,0 +1,77 @@
+// test-folder-names.js
+// Юнит-тесты санитизации имён папок проектов
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeFolderName, withProjectSuffix, resolveFolderName } from './folder-names.js';
+
+const opts = { transliterate: 'none', maxLength: 100, suffix: 'collision' };
+
+test('path separators and forbidden characters are replaced', () => {
+  assert.equal(sanitizeFolderName('Client/Brand\\Spot: v2', opts), 'Client_Brand_Spot_ v2');
+  assert.equal(sanitizeFolderName('What? <Final> "cut" | *', opts), 'What_ _Final_ _cut_ _ _');
+});
+
+test('trailing dots and surrounding whitespace are removed', () => {
+  assert.equal(sanitizeFolderName('  Project...  ', opts), 'Project');
+  assert.equal(sanitizeFolderName('Project. . .', opts), 'Project');
+});
+
+test('whitespace runs and control characters are collapsed', () => {
+  assert.equal(sanitizeFolderName('A\t\tB\n C\u0007', opts), 'A B C');
+});
+
+test('emoji are stripped', () => {
+  assert.equal(sanitizeFolderName('🚀 Launch 🎬 film 👍🏽', opts), 'Launch film');
+  assert.equal(sanitizeFolderName('Family 👨‍👩‍👧 trip', opts), 'Family trip');
+});
+
+test('empty and dot-only names become a placeholder', () => {
+  assert.equal(sanitizeFolderName('', opts), '_');
+  assert.equal(sanitizeFolderName('🎉🎉', opts), '_');
+  assert.equal(sanitizeFolderName('..', opts), '_');
+  assert.equal(sanitizeFolderName(null, opts), '_');
+});
+
+test('Cyrillic is kept by default and transliterated with transliterate=ru', () => {
+  assert.equal(sanitizeFolderName('Реклама Щедрый Ёж', opts), 'Реклама Щедрый Ёж');
+  assert.equal(
+    sanitizeFolderName('Реклама Щедрый Ёж', { ...opts, transliterate: 'ru' }),
+    'Reklama Shchedryy Yozh'
+  );
+  assert.equal(sanitizeFolderName('Їжак і Ґава', { ...opts, transliterate: 'ru' }), 'Yizhak i Gava');
+  assert.equal(sanitizeFolderName('Объект', { ...opts, transliterate: 'ru' }), 'Obekt');
+});
+
+test('long names are truncated to maxLength without trailing dots', () => {
+  const long = 'A'.repeat(150);
+  assert.equal(sanitizeFolderName(long, opts).length, 100);
+  assert.equal(sanitizeFolderName('abc. def', { ...opts, maxLength: 4 }), 'abc');
+  // длина считается в символах, а не в UTF-16 code units
+  assert.equal(sanitizeFolderName('Ж'.repeat(10), { ...opts, maxLength: 5 }), 'ЖЖЖЖЖ');
+});
+
+test('project suffix fits into maxLength and is not added twice', () => {
+  assert.equal(withProjectSuffix('Spot', 42, opts), 'Spot_42');
+  assert.equal(withProjectSuffix('Spot_42', 42, opts), 'Spot_42');
+  const name = withProjectSuffix('B'.repeat(100), 12345, opts);
+  assert.equal(name.length, 100);
+  assert.ok(name.endsWith('_12345'));
+});
+
+test('collisions are disambiguated deterministically by WS project ID', () => {
+  const taken = (name) => name.toLowerCase() === 'spot';
+  assert.equal(resolveFolderName('Spot', 7, taken, opts), 'Spot_7');
+  assert.equal(resolveFolderName('Spot', 7, taken, opts), 'Spot_7');
+  assert.equal(resolveFolderName('Other', 7, taken, opts), 'Other');
+});
+
+test('suffix policy always/never', () => {
+  const taken = () => true;
+  assert.equal(resolveFolderName('Spot', 7, () => false, { ...opts, suffix: 'always' }), 'Spot_7');
+  assert.equal(resolveFolderName('Spot', 7, taken, { ...opts, suffix: 'never' }), 'Spot');
+});
+
+test('missing title falls back to project_<wsId>', () => {
+  assert.equal(resolveFolderName('', 9, () => false, opts), 'project_9');
+});
@@ -0,0 +1,97 @@
+// test-logger.js
+// Юнит-тесты общего логгера: маскирование секретов, контекст requestId, уровни
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'info';
+process.env.LOG_FORMAT = 'text';
+delete process.env.LOG_FILE;
+
+const { redact, createLogger, runWithLogContext, getLogContext, setLogOutput } = await import('./logger.js');
+
+/**
+ * Перехватить строки, которые логгер пишет через console.log.
+ */
+async function captureLines(fn) {
+  const lines = [];
+  const original = console.log;
+  console.log = (line) => lines.push(line);
+  try {
+    await fn();
+  } finally {
+    console.log = original;
+  }
+  return lines;
+}
+
+test('secret object keys are masked at any depth', () => {
+  const result = redact({
+    headers: { authorization: 'Basic dTpw', 'content-type': 'application/json' },
+    params: { path: '/A', auth: 'abcdef123456' },
+    login: { username: 'u@x.com', password: 'hunter2' },
+    shares: [{ access_token: 'at' }],
+  });
+  assert.equal(result.headers.authorization, '***');
+  assert.equal(result.headers['content-type'], 'application/json');
+  assert.equal(result.params.auth, '***');
+  assert.equal(result.params.path, '/A');
+  assert.equal(result.login.password, '***');
+  assert.equal(result.login.username, 'u@x.com');
+  assert.equal(result.shares[0].access_token, '***');
+});
+
+test('secrets inside strings are masked', () => {
+  assert.equal(redact('Authorization: Basic dXNlcjpwYXNz'), 'Authorization: Basic ***');
+  assert.equal(redact('Bearer eyJhbGciOi.x.y'), 'Bearer ***');
+  assert.equal(
+    redact('https://api/listfolder?path=%2FA&auth=abc123&x=1'),
+    'https://api/listfolder?path=%2FA&auth=***&x=1'
+  );
+  assert.equal(redact('{"result":0,"auth":"abc123"}'), '{"result":0,"auth":"***"}');
+});
+
+test('errors and circular objects are safe to log', () => {
+  const obj = { name: 'a' };
+  obj.self = obj;
+  assert.equal(redact(obj).self, '[Circular]');
+
+  const err = redact(new Error('GET /userinfo?username=u&password=hunter2 failed'));
+  assert.equal(err.message, 'GET /userinfo?username=u&password=*** failed');
+  assert.doesNotMatch(err.stack, /hunter2/);
+});
+
+test('log context follows async calls', async () => {
+  const seen = await runWithLogContext({ requestId: 'req-1' }, async () => {
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    return runWithLogContext({ jobId: 'job-1' }, async () => getLogContext());
+  });
+  assert.deepEqual(seen, { requestId: 'req-1', jobId: 'job-1' });
+  assert.deepEqual(getLogContext(), {});
+});
+
+test('lines carry component, level and requestId; debug is filtered out', async () => {
+  const log = createLogger('TEST');
+  const lines = await captureLines(() =>
+    runWithLogContext({ requestId: 'abc' }, async () => {
+      log.debug('hidden');
+      log.info('Headers:', { authorization: 'Basic dTpw' });
+    })
+  );
+  assert.equal(lines.length, 1);
+  assert.match(lines[0], /^\[TEST\] \[INFO \] \[[^\]]+\] \[abc\] Headers:/);
+  assert.doesNotMatch(lines[0], /dTpw/);
+});
+
+test('log lines can be sent to another stream, keeping stdout for a report', async () => {
+  const written = [];
+  setLogOutput({ write: (chunk) => written.push(chunk) });
+  try {
+    const lines = await captureLines(() => createLogger('TEST').warn('to stderr'));
+    assert.deepEqual(lines, []);
+  } finally {
+    setLogOutput();
+  }
+  assert.equal(written.length, 1);
+  assert.match(written[0], /\[WARN \] .* to stderr\n$/);
+});
@@ -0,0 +1,64 @@
+// test-metrics.js
+// Юнит-тесты метрик: текстовый формат Prometheus, счётчики, гистограммы, gauge
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { counter, histogram, gauge, renderMetrics } from './metrics.js';
+
+const requests = counter('test_requests_total', 'Test requests', ['outcome']);
+const latency = histogram('test_latency_seconds', 'Test latency', ['action'], [0.1, 1]);
+const plain = counter('test_plain_total', 'Counter without labels');
+gauge('test_depth', 'Test depth', async () => [{ labels: { queue: 'pending' }, value: 3 }]);
+
+test('counters render HELP, TYPE and one line per label set', async () => {
+  requests.inc({ outcome: 'accepted' });
+  requests.inc({ outcome: 'accepted' });
+  requests.inc({ outcome: 'unauthorized' });
+
+  const text = await renderMetrics();
+  assert.match(text, /# HELP test_requests_total Test requests\n# TYPE test_requests_total counter\n/);
+  assert.match(text, /^test_requests_total\{outcome="accepted"\} 2$/m);
+  assert.match(text, /^test_requests_total\{outcome="unauthorized"\} 1$/m);
+});
+
+test('counters without labels start at zero', async () => {
+  assert.match(await renderMetrics(), /^test_plain_total 0$/m);
+  plain.inc();
+  assert.match(await renderMetrics(), /^test_plain_total 1$/m);
+});
+
+test('label values are escaped', async () => {
+  requests.inc({ outcome: 'a"b\\c\nd' });
+  assert.match(await renderMetrics(), /^test_requests_total\{outcome="a\\"b\\\\c\\nd"\} 1$/m);
+});
+
+test('histogram buckets are cumulative and include +Inf, sum and count', async () => {
+  latency.observe({ action: 'get_project' }, 0.05);
+  latency.observe({ action: 'get_project' }, 0.5);
+  latency.observe({ action: 'get_project' }, 3);
+
+  const text = await renderMetrics();
+  assert.match(text, /^test_latency_seconds_bucket\{action="get_project",le="0.1"\} 1$/m);
+  assert.match(text, /^test_latency_seconds_bucket\{action="get_project",le="1"\} 2$/m);
+  assert.match(text, /^test_latency_seconds_bucket\{action="get_project",le="\+Inf"\} 3$/m);
+  assert.match(text, /^test_latency_seconds_sum\{action="get_project"\} 3.55$/m);
+  assert.match(text, /^test_latency_seconds_count\{action="get_project"\} 3$/m);
+});
+
+test('histogram.time labels the observation by outcome, including failures', async () => {
+  const labelsFn = (result, err) => ({ action: err ? 'failed' : result });
+  assert.equal(await latency.time(async () => 'timed', labelsFn), 'timed');
+  await assert.rejects(latency.time(async () => { throw new Error('boom'); }, labelsFn), /boom/);
+
+  const text = await renderMetrics();
+  assert.match(text, /^test_latency_seconds_count\{action="timed"\} 1$/m);
+  assert.match(text, /^test_latency_seconds_count\{action="failed"\} 1$/m);
+});
+
+test('gauges are collected on every render', async () => {
+  assert.match(await renderMetrics(), /# TYPE test_depth gauge\ntest_depth\{queue="pending"\} 3\n/);
+});
+
+test('metric names must be unique', () => {
+  assert.throws(() => counter('test_requests_total', 'dup'), /already registered/);
+});
@@ -0,0 +1,162 @@
+// test-notifier.js
+// Юнит-тесты уведомлений о новых файлах: опрос pCloud diff, debounce пачки, один комментарий
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-'));
+process.env.DATA_DIR = dir;
+process.env.PCLOUD_API = 'https://api.example.com';
+process.env.PCLOUD_AUTH = 'token';
+process.env.PCLOUD_CLIENT_ID = '';
+process.env.PCLOUD_LINK_MODE = 'web';
+process.env.PCLOUD_WEB_URL = 'https://my.pcloud.com';
+process.env.WS_BASE_URL = 'https://example.worksection.com';
+process.env.WS_ADMIN_TOKEN = 'apikey';
+process.env.WS_MIN_INTERVAL_MS = '0';
+process.env.NOTIFY_DEBOUNCE_MS = '60000';
+process.env.NOTIFY_FOLDERS = 'finalRender,preview,task';
+process.env.FOLDER_TEMPLATES_FILE = path.join(dir, 'templates.json');
+
+fs.writeFileSync(process.env.FOLDER_TEMPLATES_FILE, JSON.stringify({
+  templates: [{ name: 'default', match: {}, folders: [{ key: 'finalRender', path: 'Final_render' }], attachments: { folder: 'finalRender', taskFolders: false } }],
+}));
+
+fs.writeFileSync(path.join(dir, 'projects.json'), JSON.stringify({
+  1: {
+    wsId: '1',
+    name: 'Proj',
+    projectPath: '/P',
+    template: 'default',
+    folders: {
+      project: { path: '/P', folderid: 10, shares: {} },
+      finalRender: { path: '/P/Final_render', folderid: 20, shares: {} },
+      inbox: { path: '/P/Inbox', folderid: 30, shares: {} },
+    },
+    links: { finalRender: { link: 'https://u.pcloud.link/final' } },
+    tasks: { 7: { title: 'Shot', path: '/P/Tasks/7_Shot', folderid: 40 } },
+  },
+}));
+// Файл 502 бридж скопировал сам из вложений Worksection — о нём не сообщаем
+fs.writeFileSync(path.join(dir, 'attachments.json'), JSON.stringify({
+  files: { w1: { status: 'uploaded', folderid: 20, fileid: 502 } },
+  hashes: {},
+}));
+
+const { setPcloudTransport } = await import('./pcloud.js');
+const { setWorksectionTransport } = await import('./worksection.js');
+const { pollChanges, flushNotifications, renderNotification } = await import('./notifier.js');
+const { uploadAttachment } = await import('./attachments.js');
+
+let events = [];
+let comments = [];
+// Результат опроса diff, запущенного посреди загрузки вложения
+let pollDuringUpload = null;
+
+function createFile(fileid, parentfolderid, name, size = 1) {
+  events.push({ event: 'createfile', diffid: events.length + 1, metadata: { fileid, parentfolderid, name, size, isfolder: false } });
+}
+
+setPcloudTransport(async (url, params, headers, body) => {
+  if (url.split('/').pop() === 'uploadfile') {
+    let size = 0;
+    for await (const chunk of body) size += chunk.length;
+    // Файл уже виден в diff, а в индексе вложений его ещё нет; имя занято — pCloud переименовал копию
+    createFile(700, params.folderid, params.filename.replace('.', ' (1).'), size);
+    pollDuringUpload = await pollChanges();
+    return { status: 200, data: { result: 0, metadata: [{ fileid: 700, path: `/P/Final_render/${params.filename}` }], checksums: [{}] } };
+  }
+  assert.equal(url.split('/').pop(), 'diff');
+  if (params.last !== undefined) {
+    return { status: 200, data: { result: 0, diffid: events.length, entries: [] } };
+  }
+  const entries = events.slice(params.diffid);
+  return { status: 200, data: { result: 0, diffid: events.length, entries } };
+});
+
+setWorksectionTransport(async (url) => {
+  const params = new URL(url).searchParams;
+  if (params.get('action') === 'download') {
+    return { status: 200, data: Readable.from([Buffer.from('attachment')]), headers: { 'content-type': 'application/pdf' } };
+  }
+  if (params.get('action') === 'get_tasks') {
+    return { status: 200, data: { status: 'ok', data: [{ id: 5 }, { id: 6 }] } };
+  }
+  assert.equal(params.get('action'), 'post_comment');
+  comments.push({ taskId: params.get('id_task'), text: params.get('text') });
+  return { status: 200, data: { status: 'ok', data: {} } };
+});
+
+after(() => {
+  setPcloudTransport(null);
+  setWorksectionTransport(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('first poll only remembers the diffid: existing files are not announced', async () => {
+  createFile(500, 20, 'old.mov');
+  await pollChanges();
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'notify.json'), 'utf8')).diffid, 1);
+
+  await flushNotifications({ force: true });
+  assert.deepEqual(comments, []);
+});
+
+test('a batch upload is posted once, after the debounce, with names and folder link', async () => {
+  createFile(501, 20, 'shot_010.mov');
+  createFile(502, 20, 'brief.pdf');
+  createFile(503, 30, 'inbox.txt');
+  assert.deepEqual(await pollChanges(), { added: 1, removed: 0 });
+
+  createFile(504, 20, 'shot_020.mov');
+  await pollChanges();
+
+  // Debounce ещё не истёк — ничего не отправляем
+  assert.deepEqual(await flushNotifications(), { posted: 0, failed: 0, pending: 1 });
+  assert.equal(comments.length, 0);
+
+  assert.deepEqual(await flushNotifications({ force: true }), { posted: 1, failed: 0, pending: 0 });
+  assert.equal(comments.length, 1);
+  assert.equal(comments[0].taskId, '5');
+  assert.equal(comments[0].text, 'Новые файлы в Final_render (2):\n• shot_010.mov\n• shot_020.mov\nПапка: https://u.pcloud.link/final');
+
+  await flushNotifications({ force: true });
+  assert.equal(comments.length, 1);
+});
+
+test('files in a task folder go to that task; deleted files are dropped from the batch', async () => {
+  comments = [];
+  createFile(601, 40, 'frame_0001.exr');
+  createFile(602, 40, 'frame_0002.exr');
+  events.push({ event: 'deletefile', diffid: events.length + 1, metadata: { fileid: 602, parentfolderid: 40, name: 'frame_0002.exr', isfolder: false } });
+  assert.deepEqual(await pollChanges(), { added: 2, removed: 1 });
+
+  await flushNotifications({ force: true });
+  assert.deepEqual(comments, [{
+    taskId: '7',
+    text: 'Новые файлы в Tasks/7_Shot (1):\n• frame_0001.exr\nПапка: https://my.pcloud.com/#page=filemanager&folder=40',
+  }]);
+});
+
+test('files with a link (publink mode) are listed with it, others by name only', () => {
+  const text = renderNotification({
+    folder: 'Final_render',
+    files: [{ name: 'a.mov', link: 'https://u.pcloud.link/a' }, { name: 'b.mov', link: null }],
+    link: 'https://u.pcloud.link/final',
+  });
+  assert.equal(text, 'Новые файлы в Final_render (2):\n• a.mov — https://u.pcloud.link/a\n• b.mov\nПапка: https://u.pcloud.link/final');
+});
+
+test('attachments the bridge is still uploading are not announced back to Worksection', async () => {
+  comments = [];
+  await uploadAttachment(1, { id: 'w2', name: 'from_ws.pdf' });
+  assert.deepEqual(pollDuringUpload, { added: 0, removed: 0 });
+
+  await pollChanges();
+  await flushNotifications({ force: true });
+  assert.deepEqual(comments, []);
+});
@@ -0,0 +1,133 @@
+// test-pcloud-client.js
+// Юнит-тесты клиента pCloud с подменённым транспортом: логин, ретраи, ограничение параллельности
+
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.PCLOUD_API = 'https://api.example.com';
+process.env.PCLOUD_AUTH = '';
+process.env.PCLOUD_USERNAME = 'user@example.com';
+process.env.PCLOUD_PASSWORD = 'secret';
+process.env.PCLOUD_RETRY_BASE_MS = '1';
+process.env.PCLOUD_MAX_RETRIES = '2';
+process.env.PCLOUD_MAX_CONCURRENCY = '2';
+
+const { setPcloudTransport, pcloudCall } = await import('./pcloud.js');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let calls;
+let logins;
+let authToken;
+let issued = 0;
+
+/**
+ * Фейковый pCloud: userinfo?getauth=1 выдаёт токен, остальные методы отвечают через handler.
+ */
+function mockTransport(handler) {
+  calls = [];
+  setPcloudTransport(async (url, params) => {
+    const method = url.split('/').pop();
+    if (method === 'userinfo' && params.getauth) {
+      logins++;
+      await sleep(5);
+      authToken = `token-${++issued}`;
+      return { status: 200, data: { result: 0, auth: authToken } };
+    }
+    calls.push({ method, params });
+    return { status: 200, data: await handler(method, params, calls.length) };
+  });
+}
+
+function httpError(status) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status, data: 'oops' };
+  return err;
+}
+
+beforeEach(() => {
+  logins = 0;
+});
+after(() => setPcloudTransport(null));
+
+test('concurrent calls share a single login', async () => {
+  mockTransport(() => ({ result: 0 }));
+  await Promise.all([pcloudCall('listfolder'), pcloudCall('listfolder'), pcloudCall('listfolder')]);
+  assert.equal(logins, 1);
+  assert.ok(calls.every((c) => c.params.auth === authToken));
+});
+
+test('rejected token triggers one re-login shared by parallel calls', async () => {
+  mockTransport((method, params) => (params.auth === authToken ? { result: 0 } : { result: 2000, error: 'Log in failed.' }));
+  authToken = 'fresh';
+  // Токен в кэше теперь устарел: оба запроса получат 2000 и должны дождаться одного логина
+  await Promise.all([pcloudCall('listfolder'), pcloudCall('listfolder')]);
+  assert.equal(logins, 1);
+});
+
+test('transient HTTP errors and busy result codes are retried', async () => {
+  mockTransport((method, params, n) => {
+    if (n === 1) throw httpError(502);
+    if (n === 2) return { result: 5000, error: 'Internal error. Try again later.' };
+    return { result: 0, ok: true };
+  });
+  const result = await pcloudCall('listfolder');
+  assert.equal(result.ok, true);
+  assert.equal(calls.length, 3);
+});
+
+test('gives up after PCLOUD_MAX_RETRIES', async () => {
+  mockTransport(() => {
+    throw new Error('ECONNRESET');
+  });
+  await assert.rejects(pcloudCall('listfolder'), /pCloud network error calling listfolder: ECONNRESET/);
+  assert.equal(calls.length, 3);
+});
+
+test('write methods are not resent after an ambiguous failure', async () => {
+  mockTransport((method, params, n) => {
+    if (n === 1) throw httpError(502);
+    return { result: 0 };
+  });
+  await assert.rejects(pcloudCall('sharefolder'), /HTTP 502/);
+  assert.equal(calls.length, 1);
+
+  mockTransport(() => ({ result: 5000, error: 'Internal error. Try again later.' }));
+  await assert.rejects(pcloudCall('renamefolder'), /result=5000/);
+  assert.equal(calls.length, 1);
+
+  mockTransport((method, params, n) => {
+    if (n === 1) throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    if (n === 2) throw httpError(429);
+    return { result: 0 };
+  });
+  await pcloudCall('removeshare');
+  assert.equal(calls.length, 3);
+});
+
+test('permanent errors are not retried', async () => {
+  mockTransport(() => ({ result: 2005, error: 'Directory does not exist.' }));
+  await assert.rejects(pcloudCall('listfolder'), /result=2005/);
+  assert.equal(calls.length, 1);
+
+  mockTransport(() => {
+    throw httpError(404);
+  });
+  await assert.rejects(pcloudCall('listfolder'), /HTTP 404/);
+  assert.equal(calls.length, 1);
+});
+
+test('no more than PCLOUD_MAX_CONCURRENCY requests run at once', async () => {
+  let active = 0;
+  let peak = 0;
+  mockTransport(async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await sleep(5);
+    active--;
+    return { result: 0 };
+  });
+  await Promise.all(Array.from({ length: 6 }, () => pcloudCall('createfolderifnotexists')));
+  assert.equal(peak, 2);
+  assert.equal(calls.length, 6);
+});
@@ -0,0 +1,78 @@
+// test-pcloud-oauth.js
+// Юнит-тесты OAuth для pCloud: шифрование токена, определение API-хоста, Bearer-авторизация вызовов
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pcloud-oauth-'));
+process.env.DATA_DIR = dataDir;
+process.env.PCLOUD_API = '';
+process.env.PCLOUD_AUTH = 'static-token';
+process.env.PCLOUD_MAX_RETRIES = '0';
+process.env.PCLOUD_CLIENT_ID = 'client';
+process.env.PCLOUD_CLIENT_SECRET = 'client-secret';
+process.env.PCLOUD_TOKEN_KEY = 'test-key';
+
+const { encryptToken, decryptToken, resolveApiHost, saveOAuthToken } = await import('./pcloud-token.js');
+const { setPcloudTransport, pcloudCall, exchangeOAuthCode, resetPcloudAuth } = await import('./pcloud.js');
+
+after(() => {
+  setPcloudTransport(null);
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('token is stored encrypted and needs the same key to decrypt', () => {
+  const envelope = encryptToken({ accessToken: 'secret-access-token' });
+  assert.ok(!JSON.stringify(envelope).includes('secret-access-token'));
+  assert.equal(decryptToken(envelope).accessToken, 'secret-access-token');
+
+  process.env.PCLOUD_TOKEN_KEY = 'other-key';
+  try {
+    assert.throws(() => decryptToken(envelope), /wrong PCLOUD_TOKEN_KEY/);
+  } finally {
+    process.env.PCLOUD_TOKEN_KEY = 'test-key';
+  }
+});
+
+test('API host comes from the redirect hostname, falling back to locationid', () => {
+  assert.equal(resolveApiHost({ hostname: 'API.pcloud.com' }), 'api.pcloud.com');
+  assert.equal(resolveApiHost({ locationid: '2' }), 'eapi.pcloud.com');
+  assert.equal(resolveApiHost({}), null);
+});
+
+test('only pCloud API hosts are accepted from the redirect', () => {
+  assert.throws(() => resolveApiHost({ hostname: 'evil.com', locationid: 1 }), /unknown API host "evil.com"/);
+  assert.throws(() => resolveApiHost({ hostname: 'api.pcloud.com.evil.com' }), /unknown API host/);
+});
+
+test('code exchange goes to the account API host', async () => {
+  let request;
+  setPcloudTransport(async (url, params) => {
+    request = { url, params };
+    return { status: 200, data: { result: 0, access_token: 'tok', userid: 5, locationid: 1 } };
+  });
+
+  const token = await exchangeOAuthCode('the-code', 'api.pcloud.com');
+  assert.equal(request.url, 'https://api.pcloud.com/oauth2_token');
+  assert.deepEqual(request.params, { client_id: 'client', client_secret: 'client-secret', code: 'the-code' });
+  assert.deepEqual(token, { accessToken: 'tok', userid: 5, locationid: 1 });
+});
+
+test('stored OAuth token wins over PCLOUD_AUTH and is sent as a Bearer header', async () => {
+  await saveOAuthToken({ accessToken: 'oauth-token', apiHost: 'api.pcloud.com', userid: 5 });
+  resetPcloudAuth();
+
+  let request;
+  setPcloudTransport(async (url, params, headers) => {
+    request = { url, params, headers };
+    return { status: 200, data: { result: 0 } };
+  });
+
+  await pcloudCall('listfolder', { path: '/' });
+  assert.equal(request.url, 'https://api.pcloud.com/listfolder');
+  assert.equal(request.headers.Authorization, 'Bearer oauth-token');
+  assert.equal(request.params.auth, undefined);
+});
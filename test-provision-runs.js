@@ -0,0 +1,57 @@
+// test-provision-runs.js
+// Юнит-тесты отчётов о запусках провижининга: шаги, ошибки, сохранение и выборка
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'provision-runs-'));
+process.env.DATA_DIR = dataDir;
+
+const { createRunReport, runStep, skipStep, finishRunReport, listProvisionRuns, getProvisionRun } =
+  await import('./provision-runs.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('runStep records returned fields, duration and defaults status to ok', async () => {
+  const report = createRunReport(7);
+  const entry = await runStep(report, { kind: 'folder', key: 'project' }, async () => ({ folderid: 42 }));
+
+  assert.equal(report.wsId, '7');
+  assert.equal(entry.status, 'ok');
+  assert.equal(entry.folderid, 42);
+  assert.equal(typeof entry.durationMs, 'number');
+  assert.deepEqual(report.steps, [entry]);
+});
+
+test('runStep marks the step failed and rethrows; skipStep records without running', async () => {
+  const report = createRunReport(7);
+  skipStep(report, { kind: 'folder', key: 'root', status: 'exists', folderid: 1 });
+
+  await assert.rejects(
+    runStep(report, { kind: 'share', key: 'project', email: 'a@x.com' }, async () => {
+      throw new Error('Access denied');
+    }),
+    /Access denied/
+  );
+
+  assert.equal(report.steps[0].status, 'exists');
+  assert.equal(report.steps[0].durationMs, 0);
+  assert.equal(report.steps[1].status, 'failed');
+  assert.equal(report.steps[1].error, 'Access denied');
+});
+
+test('finished reports are persisted and listed newest first per project', async () => {
+  const first = await finishRunReport(createRunReport(1), 'ok');
+  const other = await finishRunReport(createRunReport(2), 'failed', 'boom');
+  const second = await finishRunReport(createRunReport(1), 'partial', '1 share(s) failed');
+
+  assert.equal(second.status, 'partial');
+  assert.ok(second.finishedAt);
+  assert.deepEqual((await listProvisionRuns({ wsId: 1 })).map((r) => r.id), [second.id, first.id]);
+  assert.equal((await listProvisionRuns({ limit: 1 }))[0].id, second.id);
+  assert.equal((await getProvisionRun(other.id)).error, 'boom');
+  assert.equal(await getProvisionRun('missing'), null);
+});
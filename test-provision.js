@@ -0,0 +1,95 @@
+// test-provision.js
+// Юнит-тесты провижининга папок проекта: имена папок, синхронизация шар с командой
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provision-'));
+process.env.DATA_DIR = dir;
+process.env.SHARE_RULES_FILE = path.join(dir, 'no-share-rules.json');
+process.env.PCLOUD_API = 'https://api.example.com';
+process.env.PCLOUD_AUTH = 'token';
+process.env.PCLOUD_CLIENT_ID = '';
+
+const { setPcloudTransport } = await import('./pcloud.js');
+const { saveProjectMapping, createProjectMapping } = await import('./projects.js');
+const { createProjectFolders, syncProjectShares, archiveProjectFolder } = await import('./provision.js');
+
+let shares = [];
+let calls = [];
+// Папки, которые уже есть в pCloud без маппинга (созданы руками или до появления маппингов)
+const existingFolders = {
+  '/WorksectionProjects': ['Old Show'],
+  '/WorksectionProjects/_Archive': ['old show', 'old show_5'],
+};
+let nextFolderId = 100;
+
+setPcloudTransport(async (url, params) => {
+  const method = url.split('/').pop();
+  calls.push({ method, params });
+  if (method === 'listshares') {
+    return { status: 200, data: { result: 0, shares: { outgoing: shares, incoming: [] }, requests: { outgoing: [], incoming: [] } } };
+  }
+  if (method === 'listfolder') {
+    const names = existingFolders[params.path];
+    if (!names) return { status: 200, data: { result: 2005, error: 'Directory does not exist.' } };
+    return { status: 200, data: { result: 0, metadata: { contents: names.map((name) => ({ name, isfolder: true })) } } };
+  }
+  if (method === 'createfolderifnotexists') {
+    return { status: 200, data: { result: 0, created: true, metadata: { folderid: nextFolderId++, path: params.path } } };
+  }
+  return { status: 200, data: { result: 0 } };
+});
+
+after(() => {
+  setPcloudTransport(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a folder that already exists in pCloud is not reused by a new project', async () => {
+  const record = await createProjectFolders(5, 'old show', { users: [] });
+  assert.equal(record.projectPath, '/WorksectionProjects/old show_5');
+
+  const fresh = await createProjectFolders(6, 'New Show', { users: [] });
+  assert.equal(fresh.projectPath, '/WorksectionProjects/New Show');
+});
+
+test('archived folders get a free name in the archive, based on the project title', async () => {
+  // Имя в корне было с суффиксом из-за коллизии, а в архиве название свободно
+  const renamed = await createProjectFolders(8, 'New Show', { users: [] });
+  assert.equal(renamed.projectPath, '/WorksectionProjects/New Show_8');
+  assert.equal((await archiveProjectFolder(8, 'closed')).projectPath, '/WorksectionProjects/_Archive/New Show');
+
+  // В архиве заняты и название, и имя с суффиксом
+  calls = [];
+  const archived = await archiveProjectFolder(5, 'closed');
+  assert.equal(archived.projectPath, '/WorksectionProjects/_Archive/old show_5_2');
+  assert.equal(calls.find((c) => c.method === 'renamefolder').params.toname, 'old show_5_2');
+});
+
+test('share sync removes only shares the bridge granted, foreign pCloud shares survive', async () => {
+  const record = createProjectMapping(1, 'Proj', '/WorksectionProjects/Proj');
+  record.folders.project = {
+    path: record.projectPath,
+    folderid: 10,
+    shares: {
+      'left@x.com': { status: 'shared', permissions: 7, rule: null },
+      'a@x.com': { status: 'shared', permissions: 7, rule: null },
+    },
+  };
+  await saveProjectMapping(record);
+
+  shares = [
+    { shareid: 1, folderid: 10, tomail: 'a@x.com', permissions: 7 },
+    { shareid: 2, folderid: 10, tomail: 'left@x.com', permissions: 7 },
+    { shareid: 3, folderid: 10, tomail: 'colleague@x.com', permissions: 7 },
+  ];
+
+  const summary = await syncProjectShares(1, { users: [{ email: 'a@x.com' }] });
+
+  assert.deepEqual(summary.removed, [{ folder: 'project', email: 'left@x.com' }]);
+  assert.deepEqual(calls.filter((c) => c.method === 'removeshare').map((c) => c.params.shareid), [2]);
+});
@@ -0,0 +1,93 @@
+// test-queue.js
+// Юнит-тесты очереди событий: загрузка с диска, ретраи с backoff, dead-letter и replay
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-'));
+process.env.DATA_DIR = dir;
+process.env.TENANTS_FILE = path.join(dir, 'tenants.json');
+process.env.QUEUE_MAX_ATTEMPTS = '3';
+process.env.QUEUE_BACKOFF_BASE_MS = '50';
+process.env.QUEUE_BACKOFF_MAX_MS = '80';
+process.env.QUEUE_POLL_INTERVAL_MS = '10';
+
+fs.writeFileSync(path.join(dir, 'queue.json'), JSON.stringify([
+  { id: 'old', event: { action: 'post' }, status: 'processing', attempts: 1, nextAttemptAt: new Date(0).toISOString() },
+]));
+// Процесс упал посреди replay: задача уже в очереди, но ещё и в dead-letter
+fs.writeFileSync(path.join(dir, 'dead-letter.json'), JSON.stringify([
+  { id: 'old', event: { action: 'post' }, status: 'dead', attempts: 5 },
+]));
+
+const { enqueueEvent, getQueueStats, replayDeadLetter, listDeadLetters, startQueueWorker, stopQueueWorker } = await import('./queue.js');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+after(() => {
+  stopQueueWorker();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('concurrent first calls share one load of the queue file', async () => {
+  await Promise.all([
+    enqueueEvent({ action: 'post', object: { type: 'project', id: 1 } }),
+    enqueueEvent({ action: 'post', object: { type: 'project', id: 2 } }),
+    getQueueStats(),
+  ]);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'queue.json'), 'utf8'));
+  assert.deepEqual(saved.map((j) => j.event.object?.id ?? j.id), ['old', 1, 2]);
+});
+
+test('replaying a job that is already queued only drops the dead-letter copy', async () => {
+  const job = await replayDeadLetter('old');
+  assert.equal(job.attempts, 1);
+  assert.deepEqual(await getQueueStats(), { pending: 3, processing: 0, deadLetters: 0 });
+});
+
+test('failing jobs are retried with capped backoff, dead-lettered and replayed', async () => {
+  const attempts = [];
+  let statsWhileProcessing = null;
+  let failedAt = 0;
+
+  const failing = await enqueueEvent({ action: 'post', object: { type: 'task', id: 9 }, fail: true });
+  await startQueueWorker(async (event, job) => {
+    if (!event.fail) {
+      statsWhileProcessing ??= await getQueueStats();
+      return;
+    }
+    attempts.push({ attempts: job.attempts, startedAt: Date.now(), nextAttemptAt: Date.parse(job.nextAttemptAt), prevFailedAt: failedAt });
+    failedAt = Date.now();
+    throw new Error('pCloud is down');
+  });
+
+  for (let i = 0; i < 200 && (await listDeadLetters()).length === 0; i++) await sleep(10);
+  stopQueueWorker();
+
+  assert.deepEqual(statsWhileProcessing, { pending: 3, processing: 1, deadLetters: 0 });
+  assert.deepEqual(attempts.map((a) => a.attempts), [1, 2, 3]);
+  // BASE * 2^(n-1): 50 после первой неудачи, 100 → MAX 80 после второй
+  for (const [i, delay] of [[1, 50], [2, 80]]) {
+    const { nextAttemptAt, prevFailedAt, startedAt } = attempts[i];
+    assert.ok(nextAttemptAt - prevFailedAt >= delay && nextAttemptAt - prevFailedAt < delay + 20, `attempt ${i + 1} delay`);
+    assert.ok(startedAt >= nextAttemptAt);
+  }
+
+  const [dead] = await listDeadLetters();
+  assert.equal(dead.id, failing.id);
+  assert.equal(dead.status, 'dead');
+  assert.equal(dead.attempts, 3);
+  assert.equal(dead.lastError, 'pCloud is down');
+  assert.deepEqual(await getQueueStats(), { pending: 0, processing: 0, deadLetters: 1 });
+
+  const replayed = await replayDeadLetter(failing.id);
+  assert.equal(replayed.status, 'pending');
+  assert.equal(replayed.attempts, 0);
+  assert.equal(replayed.deadLetteredAt, undefined);
+  assert.deepEqual(await getQueueStats(), { pending: 1, processing: 0, deadLetters: 0 });
+  assert.equal(await replayDeadLetter(failing.id), null);
+});
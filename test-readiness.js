@@ -0,0 +1,125 @@
+// test-readiness.js
+// Юнит-тесты /ready: проверки pCloud и Worksection с подменёнными транспортами, кэш результатов, тенанты
+
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'readiness-'));
+process.env.DATA_DIR = dir;
+process.env.TENANTS_FILE = path.join(dir, 'tenants.json');
+fs.writeFileSync(process.env.TENANTS_FILE, JSON.stringify({
+  tenants: [{
+    id: 'studio-a',
+    worksection: { baseUrl: 'https://a.worksection.com', adminToken: 'a-key' },
+    pcloud: { api: 'https://eapi.example.com', auth: 'a-token' },
+    webhook: { user: 'a', pass: 'a-pass' },
+  }],
+}));
+process.env.PCLOUD_API = 'https://api.example.com';
+process.env.PCLOUD_AUTH = 'token';
+process.env.PCLOUD_MAX_RETRIES = '0';
+process.env.WS_BASE_URL = 'https://example.worksection.com';
+process.env.WS_ADMIN_TOKEN = 'apikey';
+process.env.WS_MAX_RETRIES = '0';
+process.env.WS_MIN_INTERVAL_MS = '0';
+process.env.READY_CACHE_TTL_MS = '60000';
+
+const { setPcloudTransport } = await import('./pcloud.js');
+const { setWorksectionTransport } = await import('./worksection.js');
+const { checkReadiness, resetReadinessCache } = await import('./readiness.js');
+
+let pcloudCalls;
+let wsCalls;
+
+function mockDependencies({ pcloud, worksection }) {
+  pcloudCalls = 0;
+  wsCalls = 0;
+  setPcloudTransport(async () => {
+    pcloudCalls++;
+    return { status: 200, data: pcloud };
+  });
+  setWorksectionTransport(async () => {
+    wsCalls++;
+    return { status: 200, data: worksection };
+  });
+}
+
+beforeEach(() => resetReadinessCache());
+after(() => {
+  setPcloudTransport(null);
+  setWorksectionTransport(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('ready when both dependencies answer; pCloud reports quota and free space', async () => {
+  mockDependencies({
+    pcloud: { result: 0, email: 'me@x.com', quota: 1000, usedquota: 250 },
+    worksection: { status: 'ok', data: [] },
+  });
+
+  const { ready, checks } = await checkReadiness();
+  assert.equal(ready, true);
+  assert.equal(checks.pcloud.status, 'ok');
+  assert.equal(checks.pcloud.quota, 1000);
+  assert.equal(checks.pcloud.freeSpace, 750);
+  assert.equal(checks.worksection.status, 'ok');
+  assert.equal(checks.pcloud.cached, false);
+});
+
+test('not ready when pCloud rejects the credentials', async () => {
+  mockDependencies({
+    pcloud: { result: 2000, error: 'Log in failed.' },
+    worksection: { status: 'ok', data: [] },
+  });
+
+  const { ready, checks } = await checkReadiness();
+  assert.equal(ready, false);
+  assert.equal(checks.pcloud.status, 'error');
+  assert.match(checks.pcloud.error, /result=2000/);
+  assert.equal(checks.worksection.status, 'ok');
+});
+
+test('not ready when Worksection returns an API error', async () => {
+  mockDependencies({
+    pcloud: { result: 0, quota: 1, usedquota: 0 },
+    worksection: { status: 'error', message: 'Invalid hash' },
+  });
+
+  const { ready, checks } = await checkReadiness();
+  assert.equal(ready, false);
+  assert.match(checks.worksection.error, /Invalid hash/);
+});
+
+test('results are cached for READY_CACHE_TTL_MS and concurrent checks share one call', async () => {
+  mockDependencies({
+    pcloud: { result: 0, quota: 1, usedquota: 0 },
+    worksection: { status: 'ok', data: [] },
+  });
+
+  await Promise.all([checkReadiness(), checkReadiness()]);
+  const again = await checkReadiness();
+
+  // По одному вызову на аккаунт: основной и studio-a
+  assert.equal(pcloudCalls, 2);
+  assert.equal(wsCalls, 2);
+  assert.equal(again.checks.pcloud.cached, true);
+  assert.equal(again.checks['studio-a/pcloud'].cached, true);
+});
+
+test('a bridge serving only tenants checks the tenants, not the unconfigured default account', async () => {
+  mockDependencies({
+    pcloud: { result: 0, quota: 1, usedquota: 0 },
+    worksection: { status: 'ok', data: [] },
+  });
+  process.env.WS_BASE_URL = '';
+  try {
+    const { ready, checks } = await checkReadiness();
+    assert.equal(ready, true);
+    assert.deepEqual(Object.keys(checks), ['studio-a/pcloud', 'studio-a/worksection']);
+  } finally {
+    process.env.WS_BASE_URL = 'https://example.worksection.com';
+  }
+});
@@ -0,0 +1,74 @@
+// test-share-rules.js
+// Юнит-тесты правил шаринга (без обращений к pCloud)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeUser, resolveShare, validateShareRules } from './share-rules.js';
+
+const rules = validateShareRules({
+  rules: [
+    { name: 'blocked', match: { domain: ['competitor.com'] }, deny: true },
+    { name: 'clients', match: { external: true }, folder: 'finalRender', permissions: 0 },
+    { name: 'partners', match: { company: ['Partner Studio'] }, folder: 'Sources', permissions: 3 },
+    { name: 'admins', match: { role: ['admin', 'owner'] }, folder: 'project', permissions: 15 },
+    { name: 'staff', match: {}, permissions: 7 },
+  ],
+});
+
+test('describeUser normalizes email, domain and external flag', () => {
+  const desc = describeUser({ email: ' Anna@Client.COM ', role: 'Guest', group: 'ACME' });
+  assert.deepEqual(desc, {
+    email: 'anna@client.com',
+    role: 'guest',
+    company: 'ACME',
+    external: true,
+    domain: 'client.com',
+  });
+});
+
+test('describeUser treats "1" and 1 flags as external, "0" as internal', () => {
+  assert.equal(describeUser({ email: 'a@x.com', is_client: '1' }).external, true);
+  assert.equal(describeUser({ email: 'a@x.com', external: 1 }).external, true);
+  assert.equal(describeUser({ email: 'a@x.com', is_client: '0' }).external, false);
+});
+
+test('clients get read-only access to Final_render', () => {
+  assert.deepEqual(resolveShare({ email: 'c@client.com', is_client: 1 }, rules), {
+    rule: 'clients',
+    folder: 'finalRender',
+    permissions: 0,
+  });
+});
+
+test('staff get full access to the project folder by default', () => {
+  assert.deepEqual(resolveShare({ email: 'dev@studio.com', role: 'user' }, rules), {
+    rule: 'staff',
+    folder: 'project',
+    permissions: 7,
+  });
+});
+
+test('company and role matching is case-insensitive', () => {
+  assert.equal(resolveShare({ email: 'p@partner.com', company: 'partner studio' }, rules).rule, 'partners');
+  assert.equal(resolveShare({ email: 'boss@studio.com', role: 'OWNER' }, rules).permissions, 15);
+});
+
+test('first matching rule wins, deny blocks access', () => {
+  assert.deepEqual(resolveShare({ email: 'spy@competitor.com', is_client: 1 }, rules), {
+    rule: 'blocked',
+    deny: true,
+  });
+});
+
+test('no matching rule returns null', () => {
+  const onlyClients = validateShareRules({ rules: [{ match: { external: true }, permissions: 0 }] });
+  assert.equal(resolveShare({ email: 'dev@studio.com' }, onlyClients), null);
+});
+
+test('validateShareRules rejects bad configs', () => {
+  assert.throws(() => validateShareRules({}), /"rules" must be an array/);
+  assert.throws(() => validateShareRules({ rules: [{ permissions: 16 }] }), /permissions must be an integer/);
+  assert.throws(() => validateShareRules({ rules: [{ permissions: 'rw' }] }), /permissions must be an integer/);
+  assert.throws(() => validateShareRules({ rules: [{ match: { role: 'admin' }, permissions: 1 }] }), /match.role must be an array/);
+  assert.throws(() => validateShareRules({ rules: [{ match: { external: 'yes' }, permissions: 1 }] }), /match.external/);
+});
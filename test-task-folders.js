@@ -0,0 +1,84 @@
+// test-task-folders.js
+// Юнит-тесты папок задач: правило tasks в шаблоне, пути папок, участники задачи
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-folders-'));
+const templatesFile = path.join(dir, 'templates.json');
+process.env.FOLDER_TEMPLATES_FILE = templatesFile;
+process.env.DATA_DIR = dir;
+
+fs.writeFileSync(templatesFile, JSON.stringify({
+  templates: [
+    {
+      name: 'render',
+      match: { tags: ['render'] },
+      folders: [],
+      tasks: { match: { tags: ['shot'] }, path: 'Tasks/{taskId}_{task}', donePath: 'Tasks/_Done' },
+    },
+    {
+      name: 'off',
+      match: { tags: ['off'] },
+      folders: [],
+      tasks: { enabled: false, match: {}, path: 'Tasks/{taskId}' },
+    },
+    { name: 'default', match: {}, folders: [] },
+  ],
+}));
+
+const { loadTemplates, getTemplate, selectTaskRule, renderTaskFolders } = await import('./templates.js');
+const { extractTaskMembers, resolveTaskSharePermissions } = await import('./provision.js');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('task rule applies only to tasks with matching tags', () => {
+  loadTemplates();
+  const tpl = getTemplate('render');
+
+  assert.equal(selectTaskRule(tpl, { tags: { 1: 'shot' } }), tpl.tasks);
+  assert.equal(selectTaskRule(tpl, { tags: { 1: 'meeting' } }), null);
+  assert.equal(selectTaskRule(getTemplate('default'), { tags: { 1: 'shot' } }), null);
+});
+
+test('a disabled task section creates no task folders', () => {
+  assert.equal(selectTaskRule(getTemplate('off'), { tags: { 1: 'shot' } }), null);
+});
+
+test('task folder paths include intermediate folders and sanitized titles', () => {
+  assert.deepEqual(renderTaskFolders('Tasks/{taskId}_{task}', '/Root/Proj', { taskId: 42, task: 'Shot: 010/020' }), [
+    '/Root/Proj/Tasks',
+    '/Root/Proj/Tasks/42_Shot_ 010_020',
+  ]);
+  assert.deepEqual(renderTaskFolders('Tasks/_Done', '/Root/Proj'), ['/Root/Proj/Tasks', '/Root/Proj/Tasks/_Done']);
+});
+
+test('assignee and subscribers are shared once, by normalized email', () => {
+  const members = extractTaskMembers({
+    user_to: { email: 'Olga@X.com ' },
+    subscribers: [{ email: 'olga@x.com' }, { email: 'b@x.com' }, { name: 'no email' }],
+  });
+  assert.deepEqual(members.map((u) => u.email), ['olga@x.com', 'b@x.com']);
+});
+
+test('share rules only narrow task folder permissions, bit by bit', () => {
+  const key = 'task:42';
+  assert.equal(resolveTaskSharePermissions(7, null, key), 7);
+  assert.equal(resolveTaskSharePermissions(1, { rule: 'r', folder: 'project', permissions: 2 }, key), 0);
+  assert.equal(resolveTaskSharePermissions(7, { rule: 'r', folder: 'project', permissions: 8 }, key), 0);
+  assert.equal(resolveTaskSharePermissions(7, { rule: 'r', folder: 'project', permissions: 3 }, key), 3);
+  assert.equal(resolveTaskSharePermissions(7, { rule: 'r', folder: key, permissions: 7 }, key), 7);
+});
+
+test('without template permissions the share rule decides', () => {
+  const key = 'task:42';
+  assert.equal(resolveTaskSharePermissions(null, { rule: 'clients', folder: 'project', permissions: 1 }, key), 1);
+  assert.equal(resolveTaskSharePermissions(null, null, key), 7);
+});
+
+test('users limited by a share rule to another folder get no task folder share', () => {
+  assert.equal(resolveTaskSharePermissions(7, { rule: 'clients', folder: 'finalRender', permissions: 0 }, 'task:42'), null);
+});
@@ -0,0 +1,100 @@
+// test-templates.js
+// Юнит-тесты шаблонов папок: плейсхолдеры, выбор шаблона по тегам/группе, выключенная секция, ошибки файла
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+const templatesFile = path.join(dir, 'templates.json');
+process.env.FOLDER_TEMPLATES_FILE = templatesFile;
+process.env.FOLDER_NAME_TRANSLIT = 'none';
+
+const { loadTemplates, selectTemplate, selectTaskRule, buildTemplateVars, renderTemplate } = await import('./templates.js');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const TEMPLATES = {
+  templates: [
+    {
+      name: 'animation',
+      match: { tags: ['animation', 'cgi'] },
+      folders: [
+        { key: 'sources', path: 'Sources/{tag}' },
+        { key: 'preview', path: 'Preview/{date}/Dailies' },
+        { path: 'Deliverables/v001', share: { permissions: 1 } },
+      ],
+      tasks: { enabled: false, match: {}, path: 'Tasks/{taskId}' },
+    },
+    {
+      name: 'studio-a',
+      match: { group: ['Studio A'] },
+      folders: [{ key: 'brief', path: '{manager}/{project}' }],
+      tasks: { match: {}, path: 'Tasks/{taskId}_{task}' },
+    },
+    { name: 'default', match: {}, folders: [{ key: 'finalRender', path: 'Final_render' }] },
+  ],
+};
+
+test('a broken templates file fails with the file name instead of falling back silently', () => {
+  fs.writeFileSync(templatesFile, '{ "templates": [');
+  assert.throws(() => loadTemplates(), /Folder templates: cannot read .*templates\.json/);
+
+  fs.writeFileSync(templatesFile, JSON.stringify({ templates: [] }));
+  assert.throws(() => loadTemplates(), /must contain a non-empty "templates" array/);
+
+  fs.writeFileSync(templatesFile, JSON.stringify({ templates: [{ name: 'bad', folders: [{ path: '/abs' }] }] }));
+  assert.throws(() => loadTemplates(), /"bad" has invalid folder path "\/abs"/);
+
+  fs.writeFileSync(templatesFile, JSON.stringify(TEMPLATES));
+  assert.equal(loadTemplates().length, 3);
+});
+
+test('the first matching template wins, unmatched projects fall back to the catch-all', () => {
+  const tagged = { tags: { 1: 'cgi' }, project_group: { name: 'Studio A' } };
+  assert.equal(selectTemplate(tagged).name, 'animation');
+  assert.equal(selectTemplate({ tags: ['ad'], project_group: { name: 'Studio A' } }).name, 'studio-a');
+  assert.equal(selectTemplate({ tags: ['ad'], project_group: { name: 'Studio B' } }).name, 'default');
+  assert.equal(selectTemplate({}).name, 'default');
+});
+
+test('placeholders are filled with sanitized values and intermediate folders are added', () => {
+  const tpl = selectTemplate({ tags: ['animation'] });
+  const vars = buildTemplateVars(tpl, { wsId: 5, projectName: 'Show', date: '2026-10-19', projectData: { tags: ['promo', 'animation'] } });
+  assert.equal(vars.tag, 'animation');
+
+  assert.deepEqual(renderTemplate(tpl, '/Root/Show', vars), [
+    { key: 'Sources', path: '/Root/Show/Sources', share: null, dated: false },
+    { key: 'sources', path: '/Root/Show/Sources/animation', share: null, dated: false },
+    { key: 'Preview', path: '/Root/Show/Preview', share: null, dated: false },
+    { key: 'Preview/2026-10-19', path: '/Root/Show/Preview/2026-10-19', share: null, dated: true },
+    { key: 'preview', path: '/Root/Show/Preview/2026-10-19/Dailies', share: null, dated: true },
+    { key: 'Deliverables', path: '/Root/Show/Deliverables', share: null, dated: false },
+    { key: 'Deliverables/v001', path: '/Root/Show/Deliverables/v001', share: { permissions: 1 }, dated: false },
+  ]);
+
+  const group = selectTemplate({ project_group: { name: 'Studio A' } });
+  const groupVars = buildTemplateVars(group, {
+    wsId: 6,
+    projectName: 'Ads: 2026/Q4',
+    date: '2026-10-19',
+    projectData: { user_to: { name: 'A/B <Team>' } },
+  });
+  assert.deepEqual(renderTemplate(group, '/Root', groupVars).map((f) => f.path), [
+    '/Root/A_B _Team_',
+    '/Root/A_B _Team_/Ads_ 2026_Q4',
+  ]);
+});
+
+test('unknown placeholders are an error, not a literal folder name', () => {
+  const tpl = { name: 'typo', folders: [{ path: 'Preview/{dat}' }] };
+  assert.throws(() => renderTemplate(tpl, '/Root', { date: '2026-10-19' }), /unknown placeholder \{dat\}/);
+});
+
+test('a disabled tasks section creates no task folders, an enabled one matches every task', () => {
+  const [animation, studio] = loadTemplates();
+  assert.equal(selectTaskRule(animation, { tags: ['shot'] }), null);
+  assert.equal(selectTaskRule(studio, { tags: ['shot'] }), studio.tasks);
+});
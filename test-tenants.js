@@ -0,0 +1,126 @@
+// test-tenants.js
+// Юнит-тесты мультитенантности: конфиг тенантов, раздельные клиенты pCloud/Worksection, данные и вебхуки
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-'));
+process.env.DATA_DIR = dir;
+process.env.TENANTS_FILE = path.join(dir, 'tenants.json');
+process.env.PCLOUD_API = 'https://api.example.com';
+process.env.PCLOUD_AUTH = 'main-token';
+process.env.PCLOUD_CLIENT_ID = '';
+process.env.WS_BASE_URL = 'https://main.worksection.com';
+process.env.WS_ADMIN_TOKEN = 'main-key';
+process.env.WS_MIN_INTERVAL_MS = '0';
+process.env.WEBHOOK_USER = 'main';
+process.env.WEBHOOK_PASS = 'main-pass';
+process.env.STUDIO_B_PASSWORD = 'b-secret';
+
+fs.writeFileSync(process.env.TENANTS_FILE, JSON.stringify({
+  tenants: [
+    {
+      id: 'studio-a',
+      worksection: { baseUrl: 'https://a.worksection.com', adminToken: 'a-key' },
+      pcloud: { api: 'https://eapi.example.com', auth: 'a-token' },
+      webhook: { user: 'a', pass: 'a-pass' },
+    },
+    {
+      id: 'studio-b',
+      worksection: { baseUrl: 'https://b.worksection.com', adminToken: 'b-key' },
+      pcloud: { username: 'b@x.com', password: '${STUDIO_B_PASSWORD}' },
+      webhook: { sharedSecret: 'b-hook' },
+    },
+  ],
+}));
+
+const { validateTenants, loadTenants, getTenant, runWithTenant } = await import('./tenants.js');
+const { setPcloudTransport, pcloudCall, resetPcloudAuth } = await import('./pcloud.js');
+const { setWorksectionTransport, wsCall } = await import('./worksection.js');
+const { getProjectMapping, saveProjectMapping, createProjectMapping } = await import('./projects.js');
+const { authenticateWebhook } = await import('./webhook-auth.js');
+
+let pcloudRequests = [];
+let logins = 0;
+
+setPcloudTransport(async (url, params) => {
+  const method = url.split('/').pop();
+  if (method === 'userinfo' && params.getauth) {
+    logins++;
+    return { status: 200, data: { result: 0, auth: `login-${logins}` } };
+  }
+  pcloudRequests.push({ host: new URL(url).host, auth: params.auth });
+  return { status: 200, data: { result: 0 } };
+});
+
+after(() => {
+  setPcloudTransport(null);
+  setWorksectionTransport(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const basic = (user, pass) => `Basic ${Buffer.from(`${user}:${pass}`).toString('base64')}`;
+
+test('tenants config expands ${VAR} and rejects incomplete tenants', () => {
+  const [a, b] = loadTenants();
+  assert.equal(a.dataDir, path.join(dir, 'tenants', 'studio-a'));
+  assert.equal(b.pcloud.password, 'b-secret');
+
+  assert.throws(() => validateTenants({ tenants: [{ id: 'x', worksection: { baseUrl: 'u', adminToken: 't' }, pcloud: { auth: '${NOPE_NOT_SET}' } }] }), /NOPE_NOT_SET is not set/);
+  assert.throws(() => validateTenants({ tenants: [{ id: 'x', worksection: { baseUrl: 'u', adminToken: 't' }, pcloud: { auth: 't' } }] }), /webhook needs/);
+  assert.throws(() => validateTenants({ tenants: [{ id: 'default' }] }), /reserved/);
+  assert.throws(() => validateTenants({ tenants: [{ id: '../x' }] }), /id must be/);
+});
+
+test('each tenant calls its own pCloud account with its own auth cache', async () => {
+  await pcloudCall('listfolder');
+  await runWithTenant(getTenant('studio-a'), () => pcloudCall('listfolder'));
+  await runWithTenant(getTenant('studio-b'), () => pcloudCall('listfolder'));
+
+  assert.deepEqual(pcloudRequests, [
+    { host: 'api.example.com', auth: 'main-token' },
+    { host: 'eapi.example.com', auth: 'a-token' },
+    { host: 'eapi.pcloud.com', auth: 'login-1' },
+  ]);
+
+  // Сброс токена у тенанта B не трогает остальных: логинится заново только он
+  pcloudRequests = [];
+  await runWithTenant(getTenant('studio-b'), async () => {
+    resetPcloudAuth();
+    await pcloudCall('listfolder');
+  });
+  await pcloudCall('listfolder');
+  assert.deepEqual(pcloudRequests.map((r) => r.auth), ['login-2', 'main-token']);
+});
+
+test('Worksection calls are signed with the tenant account', async () => {
+  const urls = [];
+  setWorksectionTransport(async (url) => {
+    urls.push(new URL(url).host);
+    return { status: 200, data: { status: 'ok', data: [] } };
+  });
+
+  await wsCall('get_projects');
+  await runWithTenant(getTenant('studio-b'), () => wsCall('get_projects'));
+  assert.deepEqual(urls, ['main.worksection.com', 'b.worksection.com']);
+});
+
+test('project mappings are stored per tenant', async () => {
+  await runWithTenant(getTenant('studio-a'), () => saveProjectMapping(createProjectMapping(1, 'A project', '/P/A')));
+
+  assert.equal(await getProjectMapping(1), null);
+  assert.equal((await runWithTenant(getTenant('studio-a'), () => getProjectMapping(1))).name, 'A project');
+  assert.ok(fs.existsSync(path.join(dir, 'tenants', 'studio-a', 'projects.json')));
+});
+
+test('webhook credentials are checked per tenant', () => {
+  const req = (headers) => ({ headers, ip: '127.0.0.1' });
+
+  assert.equal(authenticateWebhook(req({ authorization: basic('main', 'main-pass') })).ok, true);
+  assert.equal(runWithTenant(getTenant('studio-a'), () => authenticateWebhook(req({ authorization: basic('main', 'main-pass') }))).ok, false);
+  assert.equal(runWithTenant(getTenant('studio-a'), () => authenticateWebhook(req({ authorization: basic('a', 'a-pass') }))).ok, true);
+  assert.equal(runWithTenant(getTenant('studio-b'), () => authenticateWebhook(req({ 'x-webhook-secret': 'b-hook' }))).ok, true);
+});
@@ -0,0 +1,92 @@
+// test-webhook-auth.js
+// Юнит-тесты аутентификации вебхука (без запуска сервера)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseBasicAuth,
+  checkBasicCredentials,
+  isIpAllowed,
+  signBody,
+  authenticateWebhook,
+} from './webhook-auth.js';
+
+const basic = (user, pass) => `Basic ${Buffer.from(`${user}:${pass}`).toString('base64')}`;
+
+function withEnv(env, fn) {
+  const saved = {};
+  for (const key of Object.keys(env)) {
+    saved[key] = process.env[key];
+    if (env[key] === undefined) delete process.env[key];
+    else process.env[key] = env[key];
+  }
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+const noAuthEnv = {
+  WEBHOOK_USER: undefined,
+  WEBHOOK_PASS: undefined,
+  WEBHOOK_HMAC_SECRET: undefined,
+  WEBHOOK_SHARED_SECRET: undefined,
+  WEBHOOK_IP_ALLOWLIST: undefined,
+};
+
+test('password may contain a colon', () => {
+  assert.deepEqual(parseBasicAuth(basic('hook', 'pa:ss:word')), { user: 'hook', pass: 'pa:ss:word' });
+  assert.equal(parseBasicAuth('Bearer abc'), null);
+  assert.equal(parseBasicAuth(undefined), null);
+});
+
+test('basic credentials are compared exactly', () => {
+  const req = { headers: { authorization: basic('hook', 'pa:ss') } };
+  assert.equal(checkBasicCredentials(req, 'hook', 'pa:ss'), true);
+  assert.equal(checkBasicCredentials(req, 'hook', 'pa'), false);
+  assert.equal(checkBasicCredentials(req, 'Hook', 'pa:ss'), false);
+});
+
+test('IP allowlist supports exact addresses, IPv4-mapped IPv6 and CIDR', () => {
+  const list = ['10.0.0.0/8', '192.168.1.5', '::1'];
+  assert.equal(isIpAllowed('10.20.30.40', list), true);
+  assert.equal(isIpAllowed('::ffff:192.168.1.5', list), true);
+  assert.equal(isIpAllowed('::1', list), true);
+  assert.equal(isIpAllowed('11.0.0.1', list), false);
+  assert.equal(isIpAllowed('192.168.1.6', list), false);
+});
+
+test('all configured methods must pass', () => {
+  const env = {
+    ...noAuthEnv,
+    WEBHOOK_USER: 'hook',
+    WEBHOOK_PASS: 'secret',
+    WEBHOOK_HMAC_SECRET: 'hmac-key',
+    WEBHOOK_IP_ALLOWLIST: '127.0.0.1',
+  };
+  const body = Buffer.from('[{"action":"post"}]');
+  const good = {
+    ip: '127.0.0.1',
+    rawBody: body,
+    headers: { authorization: basic('hook', 'secret'), 'x-signature': `sha256=${signBody(body, 'hmac-key')}` },
+  };
+
+  withEnv(env, () => {
+    assert.deepEqual(authenticateWebhook(good), { ok: true, reason: null });
+    assert.equal(authenticateWebhook({ ...good, ip: '8.8.8.8' }).reason, 'ip_not_allowed');
+    assert.equal(authenticateWebhook({ ...good, headers: { ...good.headers, authorization: undefined } }).reason, 'basic_missing');
+    assert.equal(authenticateWebhook({ ...good, rawBody: Buffer.from('[]') }).reason, 'hmac_invalid');
+  });
+});
+
+test('shared secret header mode', () => {
+  withEnv({ ...noAuthEnv, WEBHOOK_SHARED_SECRET: 's3cr3t' }, () => {
+    assert.equal(authenticateWebhook({ headers: { 'x-webhook-secret': 's3cr3t' } }).ok, true);
+    assert.equal(authenticateWebhook({ headers: { 'x-webhook-secret': 'nope' } }).reason, 'secret_invalid');
+    assert.equal(authenticateWebhook({ headers: {} }).reason, 'secret_missing');
+  });
+});
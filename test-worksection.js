@@ -0,0 +1,93 @@
+// test-worksection.js
+// Юнит-тесты клиента Worksection с подменённым транспортом (без сети)
+
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+process.env.WS_BASE_URL = 'https://example.worksection.com/';
+process.env.WS_ADMIN_TOKEN = 'apikey';
+process.env.WS_RETRY_BASE_MS = '1';
+process.env.WS_MIN_INTERVAL_MS = '0';
+
+const { buildSignedUrl, setWorksectionTransport, wsCall, getProject, addProjectMembers } = await import('./worksection.js');
+
+let calls;
+
+function mockTransport(responses) {
+  calls = [];
+  setWorksectionTransport(async (url) => {
+    calls.push(url);
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return { status: 200, data: next };
+  });
+}
+
+function httpError(status) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status, data: 'oops' };
+  return err;
+}
+
+beforeEach(() => setWorksectionTransport(null));
+after(() => setWorksectionTransport(null));
+
+test('signed URL hashes exactly the query string that is sent', () => {
+  const url = buildSignedUrl('https://a.worksection.com/', 'key', { action: 'get_project', id_project: 5, extra: 'users' });
+  const [base, query] = url.split('?');
+  assert.equal(base, 'https://a.worksection.com/api/admin/v2/');
+
+  const qs = query.replace(/&hash=[0-9a-f]+$/, '');
+  const hash = query.match(/hash=([0-9a-f]+)$/)[1];
+  assert.equal(qs, 'action=get_project&id_project=5&extra=users');
+  assert.equal(hash, crypto.createHash('md5').update(qs + 'key').digest('hex'));
+});
+
+test('undefined params are not sent', () => {
+  const url = buildSignedUrl('https://a.worksection.com', 'key', { action: 'get_projects', filter: undefined });
+  assert.match(url, /\?action=get_projects&hash=/);
+});
+
+test('getProject returns project data', async () => {
+  mockTransport([{ status: 'ok', data: { id: '5', name: 'Spot', users: [] } }]);
+  const project = await getProject(5);
+  assert.equal(project.name, 'Spot');
+  assert.match(calls[0], /action=get_project&id_project=5&extra=users/);
+});
+
+test('API errors are mapped and not retried', async () => {
+  mockTransport([{ status: 'error', message: 'Project not found', message_details: 'id_project' }]);
+  await assert.rejects(wsCall('get_project', { id_project: 1 }), /Worksection API error calling get_project: Project not found \(id_project\)/);
+  assert.equal(calls.length, 1);
+});
+
+test('5xx and network errors are retried', async () => {
+  mockTransport([httpError(502), new Error('ECONNRESET'), { status: 'ok', data: [] }]);
+  const result = await wsCall('get_users');
+  assert.equal(result.status, 'ok');
+  assert.equal(calls.length, 3);
+});
+
+test('write actions are not resent after an ambiguous failure', async () => {
+  mockTransport([httpError(502)]);
+  await assert.rejects(wsCall('post_comment', { id_task: 1, text: 'hi' }), /HTTP 502/);
+  assert.equal(calls.length, 1);
+
+  const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  mockTransport([refused, httpError(429), { status: 'ok' }]);
+  await wsCall('post_comment', { id_task: 1, text: 'hi' });
+  assert.equal(calls.length, 3);
+});
+
+test('4xx errors are not retried', async () => {
+  mockTransport([httpError(403)]);
+  await assert.rejects(wsCall('get_users'), /HTTP 403/);
+  assert.equal(calls.length, 1);
+});
+
+test('addProjectMembers joins emails', async () => {
+  mockTransport([{ status: 'ok' }]);
+  await addProjectMembers(7, ['a@x.com', 'b@x.com']);
+  assert.match(calls[0], /members=a%40x.com%2Cb%40x.com/);
+});
@@ -0,0 +1,266 @@
+// webhook-auth.js
+// Аутентификация входящих вебхуков: Basic Auth, HMAC-подпись, shared secret, IP allowlist
+//
+// Все включённые (настроенные) методы должны пройти одновременно:
+// - basic:  WEBHOOK_USER / WEBHOOK_PASS
+// - hmac:   WEBHOOK_HMAC_SECRET — HMAC-SHA256 от сырого тела в заголовке WEBHOOK_HMAC_HEADER
+//           (по умолчанию x-signature, значение hex или "sha256=<hex>")
+// - secret: WEBHOOK_SHARED_SECRET — секрет в заголовке WEBHOOK_SECRET_HEADER (по умолчанию x-webhook-secret)
+// - ip:     WEBHOOK_IP_ALLOWLIST — список IP / IPv4 CIDR через запятую
+//
+// WEBHOOK_AUTH_STRICT=1 — не запускаться, если не настроен ни basic, ни hmac, ни secret.
+//
+// Вебхуки тенанта (/ws-pcloud-hook/<id>) проверяются секретами из его секции webhook в TENANTS_FILE,
+// имена заголовков HMAC/secret общие.
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { createLogger } from './logger.js';
+import { webhookRequests } from './metrics.js';
+import { currentTenant } from './tenants.js';
+
+dotenv.config();
+
+// ========================================
+// ЛОГИРОВАНИЕ
+// ========================================
+const alog = createLogger('AUTH');
+
+const alogWarn = alog.warn;
+const alogDebug = alog.debug;
+
+// ========================================
+// СЧЁТЧИКИ
+// ========================================
+const stats = {
+  total: 0,
+  accepted: 0,
+  rejected: 0,
+  byReason: {},
+};
+
+export function getAuthStats() {
+  return {
+    ...stats,
+    byReason: { ...stats.byReason },
+  };
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Сравнение строк за постоянное время (в том числе при разной длине).
+ */
+export function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * Разобрать заголовок Authorization: Basic. Пароль может содержать двоеточие.
+ */
+export function parseBasicAuth(header) {
+  if (!header || !/^Basic /i.test(header)) return null;
+
+  const decoded = Buffer.from(header.slice(6).trim(), 'base64').toString('utf8');
+  const idx = decoded.indexOf(':');
+  if (idx === -1) return null;
+
+  return {
+    user: decoded.slice(0, idx),
+    pass: decoded.slice(idx + 1),
+  };
+}
+
+/**
+ * Проверить Basic-креды запроса против пары user/pass.
+ */
+export function checkBasicCredentials(req, user, pass) {
+  const creds = parseBasicAuth(req.headers['authorization']);
+  if (!creds) return false;
+
+  // Обе проверки выполняются всегда, чтобы не выдавать по времени, что именно не совпало
+  const userOk = safeEqual(creds.user, user);
+  const passOk = safeEqual(creds.pass, pass);
+  return userOk && passOk;
+}
+
+function normalizeIp(ip) {
+  if (!ip) return '';
+  return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+  let result = 0;
+  for (const part of parts) {
+    const n = Number(part);
+    if (!/^\d+$/.test(part) || n > 255) return null;
+    result = result * 256 + n;
+  }
+  return result;
+}
+
+/**
+ * Проверить IP по списку адресов и IPv4 CIDR-подсетей.
+ */
+export function isIpAllowed(ip, allowlist) {
+  const addr = normalizeIp(ip);
+
+  return allowlist.some((entry) => {
+    if (!entry.includes('/')) {
+      return normalizeIp(entry) === addr;
+    }
+
+    const [net, bitsStr] = entry.split('/');
+    const bits = Number(bitsStr);
+    const netInt = ipv4ToInt(net);
+    const addrInt = ipv4ToInt(addr);
+    if (netInt === null || addrInt === null || !(bits >= 0 && bits <= 32)) return false;
+
+    const mask = bits === 0 ? 0 : (0xffffffff << (32 - bits)) >>> 0;
+    return ((netInt & mask) >>> 0) === ((addrInt & mask) >>> 0);
+  });
+}
+
+/**
+ * HMAC-SHA256 подпись тела в hex.
+ */
+export function signBody(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// ========================================
+// AUTHENTICATORS
+// ========================================
+function getConfig() {
+  const tenant = currentTenant();
+  if (tenant) {
+    return {
+      ...tenant.webhook,
+      hmacHeader: (process.env.WEBHOOK_HMAC_HEADER || 'x-signature').toLowerCase(),
+      secretHeader: (process.env.WEBHOOK_SECRET_HEADER || 'x-webhook-secret').toLowerCase(),
+      strict: true,
+    };
+  }
+
+  return {
+    user: process.env.WEBHOOK_USER || null,
+    pass: process.env.WEBHOOK_PASS || null,
+    hmacSecret: process.env.WEBHOOK_HMAC_SECRET || null,
+    hmacHeader: (process.env.WEBHOOK_HMAC_HEADER || 'x-signature').toLowerCase(),
+    sharedSecret: process.env.WEBHOOK_SHARED_SECRET || null,
+    secretHeader: (process.env.WEBHOOK_SECRET_HEADER || 'x-webhook-secret').toLowerCase(),
+    ipAllowlist: (process.env.WEBHOOK_IP_ALLOWLIST || '')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean),
+    strict: process.env.WEBHOOK_AUTH_STRICT === '1' || process.env.WEBHOOK_AUTH_STRICT === 'true',
+  };
+}
+
+// Каждый аутентификатор возвращает null при успехе или код причины отказа
+const authenticators = [
+  {
+    name: 'ip',
+    enabled: (cfg) => cfg.ipAllowlist.length > 0,
+    check: (req, cfg) => (isIpAllowed(req.ip, cfg.ipAllowlist) ? null : 'ip_not_allowed'),
+  },
+  {
+    name: 'basic',
+    enabled: (cfg) => Boolean(cfg.user && cfg.pass),
+    check: (req, cfg) => {
+      if (!parseBasicAuth(req.headers['authorization'])) return 'basic_missing';
+      return checkBasicCredentials(req, cfg.user, cfg.pass) ? null : 'basic_invalid';
+    },
+  },
+  {
+    name: 'hmac',
+    enabled: (cfg) => Boolean(cfg.hmacSecret),
+    check: (req, cfg) => {
+      const header = req.headers[cfg.hmacHeader];
+      if (!header) return 'hmac_missing';
+      const signature = String(header).replace(/^sha256=/i, '').toLowerCase();
+      const expected = signBody(req.rawBody || Buffer.alloc(0), cfg.hmacSecret);
+      return safeEqual(signature, expected) ? null : 'hmac_invalid';
+    },
+  },
+  {
+    name: 'secret',
+    enabled: (cfg) => Boolean(cfg.sharedSecret),
+    check: (req, cfg) => {
+      const header = req.headers[cfg.secretHeader];
+      if (!header) return 'secret_missing';
+      return safeEqual(header, cfg.sharedSecret) ? null : 'secret_invalid';
+    },
+  },
+];
+
+/**
+ * Список включённых методов аутентификации.
+ */
+export function getEnabledAuthMethods() {
+  const cfg = getConfig();
+  return authenticators.filter((a) => a.enabled(cfg)).map((a) => a.name);
+}
+
+/**
+ * Проверка конфигурации при старте. В strict-режиме бросает ошибку, если нет ни одного секрета.
+ */
+export function assertWebhookAuthConfigured() {
+  const cfg = getConfig();
+  const methods = getEnabledAuthMethods();
+  const hasSecret = methods.some((m) => m !== 'ip');
+
+  if (!hasSecret) {
+    if (cfg.strict) {
+      throw new Error(
+        'WEBHOOK_AUTH_STRICT: не задан ни WEBHOOK_USER/WEBHOOK_PASS, ни WEBHOOK_HMAC_SECRET, ни WEBHOOK_SHARED_SECRET'
+      );
+    }
+    alogWarn('Webhook auth has no credentials configured — requests are accepted without authentication');
+  }
+
+  return { methods, strict: cfg.strict };
+}
+
+/**
+ * Проверить запрос всеми включёнными методами. Возвращает { ok, reason }.
+ */
+export function authenticateWebhook(req) {
+  const cfg = getConfig();
+
+  for (const auth of authenticators) {
+    if (!auth.enabled(cfg)) continue;
+    const reason = auth.check(req, cfg);
+    if (reason) {
+      return { ok: false, reason };
+    }
+  }
+
+  return { ok: true, reason: null };
+}
+
+/**
+ * Express middleware для вебхук-эндпоинта: 401 и счётчик отказов при неудаче.
+ */
+export function webhookAuthMiddleware(req, res, next) {
+  stats.total++;
+  const { ok, reason } = authenticateWebhook(req);
+
+  if (!ok) {
+    stats.rejected++;
+    stats.byReason[reason] = (stats.byReason[reason] || 0) + 1;
+    webhookRequests.inc({ outcome: 'unauthorized' });
+    alogWarn(`Webhook rejected from ${req.ip}: ${reason}`);
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+
+  stats.accepted++;
+  alogDebug(`Webhook authenticated from ${req.ip}`);
+  next();
+}
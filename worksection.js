@@ -0,0 +1,335 @@
+// worksection.js
+// Клиент Worksection admin API v2: подпись запросов, ретраи, ограничение частоты, типовые методы
+import axios from 'axios';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { createLogger } from './logger.js';
+import { worksectionDuration } from './metrics.js';
+import { currentTenant, currentTenantId } from './tenants.js';
+
+dotenv.config();
+
+const MAX_RETRIES = Number(process.env.WS_MAX_RETRIES ?? 3);
+const RETRY_BASE_MS = Number(process.env.WS_RETRY_BASE_MS) || 500;
+// Минимальный интервал между запросами (Worksection ограничивает частоту обращений)
+const MIN_INTERVAL_MS = Number(process.env.WS_MIN_INTERVAL_MS ?? 200);
+
+// ========================================
+// ЛОГИРОВАНИЕ
+// ========================================
+const wlog = createLogger('WS');
+
+const wlogInfo = wlog.info;
+const wlogWarn = wlog.warn;
+const wlogError = wlog.error;
+const wlogDebug = wlog.debug;
+
+// ========================================
+// TRANSPORT
+// ========================================
+
+/**
+ * Транспорт по умолчанию: GET на готовый URL. Возвращает { status, data, headers }.
+ * responseType: 'stream' — тело не читается в память (скачивание файлов).
+ */
+async function axiosTransport(url, { responseType } = {}) {
+  const response = await axios.get(url, { responseType });
+  return { status: response.status, data: response.data, headers: response.headers };
+}
+
+let transport = axiosTransport;
+
+/**
+ * Подменить транспорт (для тестов и офлайн-прогона). Без аргумента — вернуть axios.
+ * transport(url, { responseType }) должен вернуть { status, data } или бросить ошибку с err.response.status.
+ */
+export function setWorksectionTransport(fn) {
+  transport = fn || axiosTransport;
+}
+
+// ========================================
+// SIGNING
+// ========================================
+
+/**
+ * Собрать подписанный URL: hash = md5(query_string + api_key),
+ * где query_string — ровно та строка параметров, что уходит в запросе.
+ */
+export function buildSignedUrl(baseUrl, apiKey, params) {
+  const queryString = new URLSearchParams(
+    Object.entries(params).filter(([, v]) => v !== undefined && v !== null)
+  ).toString();
+  const hash = crypto.createHash('md5').update(queryString + apiKey).digest('hex');
+
+  return `${baseUrl.replace(/\/$/, '')}/api/admin/v2/?${queryString}&hash=${hash}`;
+}
+
+// ========================================
+// ACCOUNT
+// ========================================
+
+/**
+ * Аккаунт Worksection текущего тенанта (см. tenants.js); основной — WS_BASE_URL / WS_ADMIN_TOKEN.
+ */
+function accountConfig() {
+  const ws = currentTenant()?.worksection;
+  if (ws) return { baseUrl: ws.baseUrl, apiKey: ws.adminToken, commentAuthor: ws.commentAuthor };
+
+  const baseUrl = process.env.WS_BASE_URL;
+  const apiKey = process.env.WS_ADMIN_TOKEN;
+  if (!baseUrl || !apiKey) {
+    throw new Error('WS_BASE_URL / WS_ADMIN_TOKEN не заданы');
+  }
+  return { baseUrl, apiKey, commentAuthor: process.env.WS_COMMENT_AUTHOR };
+}
+
+// ========================================
+// RATE LIMIT / RETRY
+// ========================================
+
+// Лимит частоты у каждого аккаунта свой: { lastRequestAt, gate } по тенантам
+const limiters = new Map();
+
+/**
+ * Выдержать минимальный интервал между запросами аккаунта (запросы стартуют по очереди).
+ */
+function waitForSlot() {
+  const tenantId = currentTenantId();
+  let limiter = limiters.get(tenantId);
+  if (!limiter) {
+    limiter = { lastRequestAt: 0, gate: Promise.resolve() };
+    limiters.set(tenantId, limiter);
+  }
+
+  const slot = limiter.gate.then(async () => {
+    const wait = limiter.lastRequestAt + MIN_INTERVAL_MS - Date.now();
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+    limiter.lastRequestAt = Date.now();
+  });
+  limiter.gate = slot.catch(() => {});
+  return slot;
+}
+
+function backoffDelay(attempt) {
+  // экспоненциально с джиттером ±50%
+  const base = RETRY_BASE_MS * 2 ** (attempt - 1);
+  return Math.round(base / 2 + Math.random() * base);
+}
+
+// Ошибки, при которых запрос точно не дошёл до Worksection
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+/**
+ * Временная ли ошибка: сеть, 5xx, 429 или сообщение Worksection о превышении лимита.
+ * Изменяющие действия (всё, кроме get_*) повторяем только если запрос заведомо
+ * не выполнен: после таймаута или 5xx комментарий мог уже появиться.
+ */
+function isTransient(err, action) {
+  if (err.wsStatus === 'error') {
+    return /limit|too many/i.test(err.message);
+  }
+  const status = err.response?.status;
+  if (status === 429) return true;
+  if (!action.startsWith('get_')) {
+    return !status && NOT_SENT_CODES.has(err.code);
+  }
+  return !status || status >= 500;
+}
+
+/**
+ * Итог запроса для метрик: ok, api_error, http_<код> или network_error.
+ */
+function requestOutcome(response, err) {
+  if (err) return err.response?.status ? `http_${err.response.status}` : 'network_error';
+  return response.data?.status === 'ok' ? 'ok' : 'api_error';
+}
+
+// ========================================
+// API CALLS
+// ========================================
+
+/**
+ * Универсальный вызов Worksection admin API.
+ * Возвращает тело ответа ({ status: 'ok', data, ... }), при ошибке бросает Error.
+ */
+export async function wsCall(action, params = {}) {
+  const { baseUrl, apiKey } = accountConfig();
+  const url = buildSignedUrl(baseUrl, apiKey, { action, ...params });
+  wlogDebug(`WS API request: ${action}`, params);
+
+  for (let attempt = 1; ; attempt++) {
+    await waitForSlot();
+
+    try {
+      let response;
+      try {
+        response = await worksectionDuration.time(() => transport(url), (res, err) => ({
+          action,
+          outcome: requestOutcome(res, err),
+        }));
+        wlogDebug(`WS API response status: ${response.status}`);
+      } catch (err) {
+        const errorMsg = err.response?.status
+          ? `HTTP ${err.response.status} ${JSON.stringify(err.response.data)}`
+          : err.message;
+        const wrapped = new Error(`Worksection network error calling ${action}: ${errorMsg}`);
+        wrapped.response = err.response;
+        wrapped.code = err.code;
+        throw wrapped;
+      }
+
+      const data = response.data;
+      if (data?.status !== 'ok') {
+        const err = new Error(
+          `Worksection API error calling ${action}: ${data?.message || 'unknown'}${data?.message_details ? ` (${data.message_details})` : ''}`
+        );
+        err.wsStatus = 'error';
+        err.wsResponse = data;
+        throw err;
+      }
+
+      return data;
+    } catch (err) {
+      if (attempt > MAX_RETRIES || !isTransient(err, action)) {
+        wlogError(err.message);
+        throw err;
+      }
+
+      const delay = backoffDelay(attempt);
+      wlogWarn(`${err.message} — retry ${attempt}/${MAX_RETRIES} in ${delay}ms`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// ========================================
+// TYPED HELPERS
+// ========================================
+
+/**
+ * Список проектов. filter: active | pending | archive (по умолчанию все).
+ */
+export async function getProjects({ filter, extra } = {}) {
+  const result = await wsCall('get_projects', { filter, extra });
+  const projects = Array.isArray(result.data) ? result.data : [];
+  wlogInfo(`WS projects fetched: ${projects.length}${filter ? ` (filter=${filter})` : ''}`);
+  return projects;
+}
+
+/**
+ * Проект с командой (extra=users по умолчанию).
+ */
+export async function getProject(projectId, { extra = 'users' } = {}) {
+  const result = await wsCall('get_project', { id_project: projectId, extra });
+  wlogInfo(`WS project ${projectId} fetched successfully`);
+  return result.data || {};
+}
+
+/**
+ * Задачи проекта. filter: active | done (по умолчанию все).
+ */
+export async function getTasks(projectId, { filter, extra } = {}) {
+  const result = await wsCall('get_tasks', { id_project: projectId, filter, extra });
+  return Array.isArray(result.data) ? result.data : [];
+}
+
+/**
+ * Задача с исполнителем (user_to), тегами, проектом и подписчиками (extra=subscribers по умолчанию).
+ */
+export async function getTask(taskId, { extra = 'subscribers' } = {}) {
+  const result = await wsCall('get_task', { id_task: taskId, extra });
+  wlogInfo(`WS task ${taskId} fetched successfully`);
+  return result.data || {};
+}
+
+/**
+ * Комментарии задачи с вложениями (extra=files по умолчанию).
+ */
+export async function getComments(taskId, { extra = 'files' } = {}) {
+  const result = await wsCall('get_comments', { id_task: taskId, extra });
+  return Array.isArray(result.data) ? result.data : [];
+}
+
+/**
+ * Скачать вложение потоком (action=download). Возвращает { stream, size, contentType };
+ * size — из Content-Length, если сервер его прислал. Без ретраев: поток читает вызывающий.
+ */
+export async function downloadFile(fileId) {
+  const { baseUrl, apiKey } = accountConfig();
+  const url = buildSignedUrl(baseUrl, apiKey, { action: 'download', id_file: fileId });
+  await waitForSlot();
+
+  let response;
+  try {
+    response = await transport(url, { responseType: 'stream' });
+  } catch (err) {
+    const message = `Worksection network error downloading file ${fileId}: ${err.response?.status ? `HTTP ${err.response.status}` : err.message}`;
+    wlogError(message);
+    throw new Error(message);
+  }
+
+  // Ошибку API (неверная подпись, нет файла) Worksection отдаёт JSON-ом вместо файла
+  const contentType = response.headers?.['content-type'] || 'application/octet-stream';
+  if (contentType.includes('application/json')) {
+    let raw = '';
+    for await (const chunk of response.data) raw += chunk;
+    let message = raw.slice(0, 200);
+    try {
+      message = JSON.parse(raw).message || message;
+    } catch {
+      // не JSON — оставляем как есть
+    }
+    wlogError(`WS download of file ${fileId} failed:`, message);
+    throw new Error(`Worksection API error downloading file ${fileId}: ${message}`);
+  }
+
+  // Для сжатого ответа Content-Length — размер сжатых данных, а не файла
+  const size = response.headers?.['content-encoding'] ? null : Number(response.headers?.['content-length']) || null;
+  wlogInfo(`WS file ${fileId} download started${size ? ` (${size} bytes)` : ''}`);
+  return { stream: response.data, size, contentType };
+}
+
+/**
+ * Комментарий к задаче. emailUserFrom — автор комментария (по умолчанию WS_COMMENT_AUTHOR
+ * или worksection.commentAuthor тенанта).
+ */
+export async function postComment(taskId, text, { emailUserFrom = accountConfig().commentAuthor } = {}) {
+  const result = await wsCall('post_comment', {
+    id_task: taskId,
+    email_user_from: emailUserFrom,
+    text,
+  });
+  wlogInfo(`WS comment posted to task ${taskId}`);
+  return result.data || {};
+}
+
+/**
+ * Пользователи аккаунта.
+ */
+export async function getUsers() {
+  const result = await wsCall('get_users');
+  return Array.isArray(result.data) ? result.data : [];
+}
+
+/**
+ * Добавить участников в проект по email.
+ */
+export async function addProjectMembers(projectId, emails) {
+  const result = await wsCall('add_project_members', {
+    id_project: projectId,
+    members: emails.join(','),
+  });
+  wlogInfo(`WS project ${projectId}: added ${emails.length} member(s)`);
+  return result;
+}
+
+/**
+ * Обновить поля проекта (title, text и т.п.).
+ */
+export async function updateProject(projectId, fields) {
+  const result = await wsCall('update_project', { id_project: projectId, ...fields });
+  wlogInfo(`WS project ${projectId} updated: ${Object.keys(fields).join(', ')}`);
+  return result.data || {};
+}